@@ -1,8 +1,17 @@
 const { PrismaClient } = require('@prisma/client');
-const { Parser } = require('json2csv');
-const ExcelJS = require('exceljs');
-const fs = require('fs');
-const path = require('path');
+const ensembleService = require('../Service/ensembleService');
+const patientQueryService = require('../Service/patientQueryService');
+const exportService = require('../Service/exportService');
+const riskThresholdService = require('../Service/riskThresholdService');
+const recommendationService = require('../Service/recommendationService');
+const feedbackService = require('../Service/feedbackService');
+const modelPerformanceService = require('../Service/modelPerformanceService');
+const analyticsService = require('../Service/analyticsService');
+const digestService = require('../Service/digestService');
+const trashService = require('../Service/trashService');
+const auditService = require('../Service/auditService');
+const lockoutService = require('../Service/lockoutService');
+const { ROLES, ROLE_PERMISSIONS, roleChangeError } = require('../middleware/permissions');
 
 const prisma = new PrismaClient();
 
@@ -10,6 +19,7 @@ const prisma = new PrismaClient();
 const getAllUsers = async (req, res) => {
   try {
     const users = await prisma.user.findMany({
+      where: { deletedAt: null }, // Deleted users are listed in the trash
       select: { id: true, name: true, email: true, role: true }, // Exclude password
     });
     res.json(users);
@@ -18,28 +28,49 @@ const getAllUsers = async (req, res) => {
   }
 };
 
-// 🟢 Get all patients (Admin only)
+// 🟢 Get all patients (Admin only) — filtered, sorted, paginated
 const getAllPatients = async (req, res) => {
+  let where;
+  let pagination;
   try {
-    const patients = await prisma.patient.findMany({
-      select: {
-        Id: true,
-        name: true,
-        Age: true,
-        BMI: true,
-        Insulin: true,
-        Glucose: true,
-        BloodPressure: true,
-        SkinThickness: true,
-        DiabetesPedigreeFunction: true,
-        prediction: true,
-        precentage: true,
-        CreatedAt: true,
-        UpdatedAt: true,
-        userId: true, // Make sure this matches the field in the Patient model
-      },
-    });
-    res.json(patients);
+    where = patientQueryService.buildPatientFilters(req.query);
+    pagination = patientQueryService.buildPatientPagination(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const { page, limit, ...findArgs } = pagination;
+    const [patients, total] = await Promise.all([
+      prisma.patient.findMany({
+        where,
+        ...findArgs,
+        select: {
+          Id: true,
+          name: true,
+          Age: true,
+          BMI: true,
+          Insulin: true,
+          Pregnancies: true,
+          Glucose: true,
+          BloodPressure: true,
+          SkinThickness: true,
+          DiabetesPedigreeFunction: true,
+          prediction: true,
+          precentage: true,
+          riskLevel: true,
+          engine: true,
+          strategy: true,
+          CreatedAt: true,
+          UpdatedAt: true,
+          userId: true, // Make sure this matches the field in the Patient model
+          user: { select: { name: true, email: true } },
+        },
+      }),
+      prisma.patient.count({ where }),
+    ]);
+
+    res.json({ data: patients, meta: patientQueryService.paginationMeta(patients, total, pagination) });
   } catch (error) {
     res.status(500).json({ error: 'Database error' });
   }
@@ -49,27 +80,27 @@ const deleteUser = async (req, res) => {
   const userId = req.params.id;
 
   try {
-    const user = await prisma.user.findUnique({ where: { id: userId } });
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
-    }
-
-    // 1️⃣ Get the patient's ID related to this user using findFirst
-    const patient = await prisma.patient.findFirst({ where: { userId } });
+    // Moves the user and their patients to the trash; purging erases them
+    const { user, patients } = await trashService.softDeleteUser(userId, req.user.userId);
 
-    // 2️⃣ If the patient exists, delete related notifications first
-    if (patient) {
-      await prisma.notification.deleteMany({ where: { patientId: patient.Id } });
-
-      // 3️⃣ Delete the patient
-      await prisma.patient.delete({ where: { Id: patient.Id } });
-    }
-
-    // 4️⃣ Delete the user
-    await prisma.user.delete({ where: { id: userId } });
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Moved user ${user.email} to trash`,
+      actionType: auditService.AUDIT_ACTIONS.USER_DELETE,
+      targetType: 'User',
+      targetId: userId,
+      before: { id: user.id, role: user.role },
+      details: { patients },
+    }, req);
 
     res.status(204).send(); // No content
   } catch (error) {
+    if (error.message === "User not found") {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith("Cannot")) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error("Error deleting user:", error);
     res.status(500).json({ error: "Failed to delete user", details: error.message });
   }
@@ -77,55 +108,130 @@ const deleteUser = async (req, res) => {
 
 
 
+// 🟢 Roles and the permissions each one grants
+const getRoles = async (req, res) => {
+  res.json(ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] })));
+};
+
+// 🟢 Locked accounts and recent lockout events
+const getLockouts = async (req, res) => {
+  try {
+    const [lockedUsers, events] = await Promise.all([
+      prisma.user.findMany({
+        where: { lockedUntil: { gt: new Date() }, deletedAt: null },
+        select: { id: true, name: true, email: true, lockedUntil: true, lockoutCount: true },
+        orderBy: { lockedUntil: 'desc' },
+      }),
+      prisma.auditLog.findMany({
+        where: {
+          actionType: {
+            in: [auditService.AUDIT_ACTIONS.ACCOUNT_LOCKED, auditService.AUDIT_ACTIONS.ACCOUNT_UNLOCKED],
+          },
+        },
+        include: { user: { select: { id: true, name: true, email: true } } },
+        orderBy: { createdAt: 'desc' },
+        take: Math.min(parseInt(req.query.limit, 10) || 50, 500),
+      }),
+    ]);
+
+    res.json({ lockedUsers, events });
+  } catch (error) {
+    console.error('Error fetching lockouts:', error);
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+};
+
+// 🟢 Unlock a locked account
+const unlockUser = async (req, res) => {
+  try {
+    const user = await lockoutService.unlockUser(req.params.id, req.user.userId, req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    console.error('Error unlocking user:', error);
+    res.status(500).json({ error: 'Failed to unlock user' });
+  }
+};
+
 // 🟢 Update user role
 const updateUserRole = async (req, res) => {
   const userId = req.params.id; // Keep it as a string
   const { newRole } = req.body;
 
-  const validRoles = ['user', 'admin'];
-  if (!validRoles.includes(newRole)) {
+  if (!ROLES.includes(newRole)) {
     return res.status(400).json({ error: 'Invalid role specified' });
   }
 
   try {
+    const existing = await prisma.user.findFirst({ where: { id: userId, deletedAt: null }, select: { id: true, role: true } });
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const forbidden = roleChangeError(req.user, existing, newRole);
+    if (forbidden) {
+      return res.status(403).json({ error: forbidden });
+    }
+
     const user = await prisma.user.update({
       where: { id: userId },
-      data: { role: newRole },
+      data: { role: newRole, credentialsChangedAt: new Date() }, // Invalidates tokens carrying the old role
     });
+
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Changed role of ${user.email} to ${newRole}`,
+      actionType: auditService.AUDIT_ACTIONS.ROLE_CHANGE,
+      targetType: 'User',
+      targetId: userId,
+      before: { role: existing.role },
+      after: { role: user.role },
+    }, req);
+
     res.json(user);
   } catch (error) {
     res.status(404).json({ error: 'User not found' });
   }
 };
 
-// 🟢 Fetch system stats
+// 🟢 Fetch system stats (?dateFrom=&dateTo=, last 30 days by default)
 const fetchSystemStats = async (req, res) => {
-  console.log("Fetching system stats...");
+  let range;
+  try {
+    range = analyticsService.parseRange(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
   try {
-    const thirtyDaysAgo = new Date(new Date().setDate(new Date().getDate() - 30));
+    const createdAt = { gte: range.dateFrom, lte: range.dateTo };
+    const patient = { deletedAt: null }; // Trashed patients and their assessments are left out
 
     // Run all queries in parallel
-    const [totalUsers, activeUsers, activePatients, roleDistribution] = await Promise.all([
-      prisma.user.count(), // Total users
-      prisma.user.findMany({
-        where: { patients: { some: {} } }, // Users with at least one patient
-        select: { id: true },
+    const [totalUsers, activeUsers, activePatients, predictions, roleDistribution] = await Promise.all([
+      prisma.user.count({ where: { deletedAt: null } }), // Total users
+      prisma.assessment.groupBy({
+        by: ["userId"], // Users who ran at least one prediction in the range
+        where: { createdAt, userId: { not: null }, patient },
       }),
-      prisma.patient.count({ where: { CreatedAt: { gte: thirtyDaysAgo } } }),
+      prisma.patient.count({ where: { CreatedAt: createdAt, deletedAt: null } }),
+      prisma.assessment.count({ where: { createdAt, patient } }),
       prisma.user.groupBy({
         by: ["role"],
+        where: { deletedAt: null },
         _count: { id: true },
       }),
     ]);
 
-    // Get distinct user IDs manually
-    const distinctUserIds = [...new Set(activeUsers.map(user => user.id))];
-    const activeUsersCount = distinctUserIds.length; // Count distinct user IDs
-
     res.json({
+      dateFrom: range.dateFrom,
+      dateTo: range.dateTo,
       totalUsers,
-      activeUsers: activeUsersCount,
+      activeUsers: activeUsers.length,
       activePatients,
+      predictions,
       roleDistribution: roleDistribution.map(entry => ({ role: entry.role, count: entry._count.id })),
     });
 
@@ -135,12 +241,74 @@ const fetchSystemStats = async (req, res) => {
   }
 };
 
-// 🟢 Fetch audit logs
+// 🟢 Shared filter builder for audit logs
+const buildAuditLogFilters = (query) => {
+  const { userId, actionType, targetType, targetId, dateFrom, dateTo } = query;
+  const filters = {};
+
+  if (userId) filters.userId = userId;
+  if (actionType) filters.actionType = { in: String(actionType).split(',') };
+  if (targetType) filters.targetType = targetType;
+  if (targetId) filters.targetId = String(targetId);
+
+  if (dateFrom || dateTo) {
+    filters.createdAt = {};
+    if (dateFrom) {
+      const fromDate = new Date(dateFrom);
+      if (isNaN(fromDate)) throw new Error('Invalid start date format');
+      filters.createdAt.gte = fromDate;
+    }
+    if (dateTo) {
+      const toDate = new Date(dateTo);
+      if (isNaN(toDate)) throw new Error('Invalid end date format');
+      filters.createdAt.lte = toDate;
+    }
+  }
+
+  return filters;
+};
+
+// 🟢 Fetch audit logs (filterable, paginated, or ?format=csv)
 const fetchAuditLogs = async (req, res) => {
-  console.log("Received request for audit logs...");
+  let filters;
+  try {
+    filters = buildAuditLogFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (req.query.format === 'csv') {
+    res
+      .setHeader('Content-Type', 'text/csv')
+      .setHeader('Content-Disposition', 'attachment; filename="audit_logs.csv"');
+    try {
+      // Streamed in chunks; the audit table can be large
+      return await exportService.streamAuditLogs('csv', { where: filters }, res);
+    } catch (error) {
+      console.error('Error exporting audit logs:', error);
+      if (res.headersSent) return res.destroy(error);
+      return res.status(500).json({ error: 'Failed to export audit logs' });
+    }
+  }
+
   try {
-    const logs = await prisma.auditLog.findMany({ orderBy: { createdAt: 'desc' } });
-    res.json(logs);
+    const include = { user: { select: { id: true, name: true, email: true } } };
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where: filters,
+        include,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.auditLog.count({ where: filters }),
+    ]);
+
+    res.json({ data: logs, meta: { page, limit, total, totalPages: Math.ceil(total / limit) } });
   } catch (error) {
     console.error('Error fetching audit logs:', error);
     res.status(500).json({ error: 'Failed to fetch logs' });
@@ -150,25 +318,28 @@ const fetchAuditLogs = async (req, res) => {
 // 🟢 Delete a patient by ID (Admin only)
 const deletePatient = async (req, res) => {
   const patientId = parseInt(req.params.id, 10);
-  console.log("Attempting to delete patient with Id:", patientId);
 
   if (isNaN(patientId)) {
     return res.status(400).json({ error: "Invalid patient ID" });
   }
 
   try {
-    const patient = await prisma.patient.findUnique({ where: { Id: patientId } });
+    const patient = await prisma.patient.findFirst({ where: { Id: patientId, deletedAt: null } });
     if (!patient) {
       return res.status(404).json({ error: "Patient not found" });
     }
 
-    // 🔥 First delete related notifications
-    await prisma.notification.deleteMany({
-      where: { patientId: patientId },
-    });
+    // 🗑 Move the patient to the trash; purging deletes its assessments too
+    await trashService.softDeletePatient(patientId, req.user.userId);
 
-    // 🗑 Now delete the patient
-    await prisma.patient.delete({ where: { Id: patientId } });
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Moved patient ${patient.name} to trash`,
+      actionType: auditService.AUDIT_ACTIONS.PATIENT_DELETE,
+      targetType: 'Patient',
+      targetId: patientId,
+      before: patient,
+    }, req);
 
     res.status(204).send(); // No Content
   } catch (error) {
@@ -179,139 +350,78 @@ const deletePatient = async (req, res) => {
 
 
 // 🟢 Shared filter builder and data fetcher
-const buildExportFilters = async (req) => {
-  const { dateFrom, dateTo, prediction } = req.query;
-  const filters = {};
+const buildExportFilters = (req) => ({
+  where: patientQueryService.buildPatientFilters(req.query),
+  columns: exportService.parseColumns(req.query.columns),
+});
 
-  // Date filtering
-  if (dateFrom || dateTo) {
-    filters.CreatedAt = {};
-    if (dateFrom) {
-      const fromDate = new Date(dateFrom);
-      if (isNaN(fromDate)) throw new Error('Invalid start date format');
-      filters.CreatedAt.gte = fromDate;
-    }
-    if (dateTo) {
-      const toDate = new Date(dateTo);
-      if (isNaN(toDate)) throw new Error('Invalid end date format');
-      filters.CreatedAt.lte = toDate;
-    }
-  }
-
-  // Prediction filtering
-  if (prediction) {
-    if (!['diabetic', 'non-diabetic'].includes(prediction)) {
-      throw new Error('Invalid prediction filter value');
-    }
-    filters.prediction = prediction === 'diabetic';
+// 🟢 Streamed export: /export/csv | tsv | json | ndjson | xlsx (alias: excel)
+const exportPatients = async (req, res) => {
+  const format = exportService.resolveFormat(req.params.format);
+  if (!format) {
+    return res.status(400).json({
+      error: `Unsupported export format. Allowed values: ${Object.keys(exportService.FORMATS).join(', ')}`,
+    });
   }
 
-  const patients = await prisma.patient.findMany({ where: filters });
-  if (patients.length === 0) throw new Error('No records found');
-  
-  return patients;
-};
-
-// 🟢 CSV Export
-const exportCSV = async (req, res) => {
+  let options;
   try {
-    const patients = await buildExportFilters(req);
-    
-    const fields = [
-      'Id', 'name', 'Age', 'BMI', 'Insulin',
-      'Glucose', 'BloodPressure', 'SkinThickness',
-      'DiabetesPedigreeFunction', 'prediction',
-      'precentage', 'CreatedAt' // Keep original spelling
-    ];
-
-    const parser = new Parser({ fields });
-    const csv = parser.parse(patients);
-
-    res
-      .setHeader('Content-Type', 'text/csv')
-      .setHeader('Content-Disposition', 'attachment; filename="patients_data.csv"')
-      .send(csv);
-
+    options = buildExportFilters(req);
   } catch (error) {
-    console.error(`CSV Export Failed: ${error.message}`);
-    const status = error.message.includes('No records') ? 404 : 400;
-    res.status(status).json({ error: error.message });
+    return res.status(400).json({ error: error.message });
   }
-};
 
-// 🟢 Excel Export
-const exportExcel = async (req, res) => {
-  try {
-    const patients = await buildExportFilters(req);
-
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Patients');
-
-    worksheet.columns = [
-      { header: 'ID', key: 'Id', width: 10 },
-      { header: 'Name', key: 'name', width: 20 },
-      { header: 'Age', key: 'Age', width: 10 },
-      { header: 'BMI', key: 'BMI', width: 10 },
-      { header: 'Insulin', key: 'Insulin', width: 10 },
-      { header: 'Glucose', key: 'Glucose', width: 10 },
-      { header: 'Blood Pressure', key: 'BloodPressure', width: 15 },
-      { header: 'Skin Thickness', key: 'SkinThickness', width: 15 },
-      { header: 'Diabetes Pedigree', key: 'DiabetesPedigreeFunction', width: 15 },
-      { header: 'Prediction', key: 'prediction', width: 20 },
-      { header: 'Precentage', key: 'precentage', width: 10 }, // Preserve spelling
-      { header: 'Created At', key: 'CreatedAt', width: 20 },
-    ];
-
-    patients.forEach(patient => {
-      worksheet.addRow({
-        ...patient,
-        CreatedAt: new Date(patient.CreatedAt)
-      });
-    });
-
-    res
-      .setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
-      .setHeader('Content-Disposition', 'attachment; filename="patients_data.xlsx"');
-
-    await workbook.xlsx.write(res);
-    res.end();
+  const { contentType, extension } = exportService.FORMATS[format];
+  res
+    .setHeader('Content-Type', contentType)
+    .setHeader('Content-Disposition', `attachment; filename="patients_data.${extension}"`);
 
+  try {
+    await exportService.streamPatients(format, options, res);
   } catch (error) {
-    console.error(`Excel Export Failed: ${error.message}`);
-    const status = error.message.includes('No records') ? 404 : 400;
-    res.status(status).json({ error: error.message });
+    console.error(`${format.toUpperCase()} Export Failed: ${error.message}`);
+    // Headers are gone once streaming starts; abort so the client sees a broken download
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: 'Export failed' });
   }
 };
+
 // 🟢 Fetch Prediction Statistics for Charts
 const fetchPredictionStats = async (req, res) => {
   try {
       // Count predictions by type
       const diabeticCount = await prisma.patient.count({
-        where: { prediction: true }, // Assuming true means diabetic
+        where: { prediction: true, deletedAt: null }, // Assuming true means diabetic
       });
       const nonDiabeticCount = await prisma.patient.count({
-        where: { prediction: false }, // Assuming false means non-diabetic
+        where: { prediction: false, deletedAt: null }, // Assuming false means non-diabetic
       });
+
+      // Patients with a confirmed diagnosis
+      const confirmed = await prisma.patient.groupBy({
+        by: ['confirmedDiagnosis'],
+        where: { confirmedDiagnosis: { not: null }, deletedAt: null },
+        _count: { Id: true },
+      });
+      const countConfirmed = (match) => confirmed
+        .filter(entry => match(entry))
+        .reduce((sum, entry) => sum + entry._count.Id, 0);
+      const labelled = countConfirmed(() => true);
+      // Accuracy over assessments made before the diagnosis, not the latest snapshot
+      const labelledAccuracy = await modelPerformanceService.labelledAccuracy();
       
-      // Count predictions over time (last 7 days)
-      const pastWeek = new Date();
-      pastWeek.setDate(pastWeek.getDate() - 7);
-
-      const weeklyPredictions = await prisma.patient.groupBy({
-          by: ['CreatedAt'], // Ensure 'CreatedAt' is the correct field name
-          where: { 
-              CreatedAt: { 
-                  gte: pastWeek // Filter by the past 7 days
-              }
-          },
-          _count: { Id: true }, // Ensure 'Id' is the correct field to count
-          orderBy: { CreatedAt: 'asc' } // Order by date ascending
+      // Predictions per day over the last 7 days (see /analytics/predictions for other ranges)
+      const weekly = await analyticsService.predictionSeries({
+          granularity: 'day',
+          ...analyticsService.parseRange({}, 7),
+          dimensions: [],
+          clinician: null,
       });
 
       // Format data for frontend
-      const formattedWeeklyPredictions = weeklyPredictions.map(entry => ({
-          date: entry.CreatedAt.toISOString().split('T')[0], // Format as YYYY-MM-DD
-          count: entry._count.Id
+      const formattedWeeklyPredictions = weekly.buckets.map(entry => ({
+          date: entry.bucket.split('T')[0], // Format as YYYY-MM-DD
+          count: entry.total
       }));
 
       // Return the stats
@@ -319,7 +429,14 @@ const fetchPredictionStats = async (req, res) => {
           totalPredictions: diabeticCount + nonDiabeticCount,
           diabetic: diabeticCount,
           nonDiabetic: nonDiabeticCount,
-          weeklyPredictions: formattedWeeklyPredictions
+          weeklyPredictions: formattedWeeklyPredictions,
+          groundTruth: {
+              labelled,
+              confirmedDiabetic: countConfirmed(entry => entry.confirmedDiagnosis === true),
+              confirmedNonDiabetic: countConfirmed(entry => entry.confirmedDiagnosis === false),
+              labelledAssessments: labelledAccuracy.assessments,
+              accuracy: labelledAccuracy.accuracy,
+          }
       });
 
   } catch (error) {
@@ -328,32 +445,627 @@ const fetchPredictionStats = async (req, res) => {
   }
 };
 
+// 🟢 Predictions over time (?granularity=hour|day|week|month&dateFrom=&dateTo=
+//    &by=riskLevel,prediction,ageBand,bmiCategory,clinician&clinician=)
+const getPredictionAnalytics = async (req, res) => {
+  let options;
+  try {
+    options = analyticsService.parseAnalyticsQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
+  try {
+    res.json(await analyticsService.predictionSeries(options));
+  } catch (error) {
+    if (error.message.startsWith('Too many')) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching prediction analytics:', error);
+    res.status(500).json({ error: 'Failed to fetch analytics' });
+  }
+};
+
+// 🟢 Model performance against confirmed diagnoses (?dateFrom=&dateTo=)
+const getModelPerformance = async (req, res) => {
+  const { dateFrom, dateTo } = req.query;
+  const range = {};
+  if (dateFrom) range.dateFrom = new Date(String(dateFrom));
+  if (dateTo) range.dateTo = new Date(String(dateTo));
+  if (Object.values(range).some(date => isNaN(date.getTime()))) {
+    return res.status(400).json({ error: 'Invalid date format' });
+  }
+
+  try {
+    const performance = await modelPerformanceService.computePerformance(range);
+    res.json({ dateFrom: range.dateFrom || null, dateTo: range.dateTo || null, ...performance });
+  } catch (error) {
+    console.error('Error computing model performance:', error);
+    res.status(500).json({ error: 'Failed to compute model performance' });
+  }
+};
+
+// 🟢 Get the strategy used to combine model outputs
+const getPredictionStrategy = async (req, res) => {
+  try {
+    const config = await ensembleService.getStrategyConfig();
+    res.json({ ...config, availableStrategies: Object.keys(ensembleService.STRATEGIES) });
+  } catch (error) {
+    console.error('Error fetching prediction strategy:', error);
+    res.status(500).json({ error: 'Failed to fetch prediction strategy' });
+  }
+};
+
+// 🟢 Update the strategy used to combine model outputs
+const updatePredictionStrategy = async (req, res) => {
+  try {
+    ensembleService.validateStrategyConfig(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-// 🟢 Get all feedbacks
-const getAllFeedback = async (req, res) => {
   try {
-    const feedbacks = await prisma.feedback.findMany({
-      select: {
-        id: true,
-        message: true,
-        createdAt: true,
-        user: {
-          select: { id: true, name: true, email: true } // optional: include user info
-        }
-      },
-      orderBy: { createdAt: 'desc' } // newest first
+    const previous = await ensembleService.getStrategyConfig();
+    const config = await ensembleService.setStrategyConfig(req.body);
+
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Prediction strategy set to ${config.strategy}`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'Setting',
+      targetId: 'predictionStrategy',
+      before: previous,
+      after: config,
+    }, req);
+
+    res.json(config);
+  } catch (error) {
+    console.error('Error updating prediction strategy:', error);
+    res.status(500).json({ error: 'Failed to update prediction strategy' });
+  }
+};
+
+// Maps risk-threshold service errors to HTTP statuses
+const thresholdErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('Only draft')) return 409;
+  return 400;
+};
+
+const parseVersionId = (req) => {
+  const id = parseInt(req.params.id, 10);
+  return isNaN(id) ? null : id;
+};
+
+// 🟢 List risk threshold versions
+const getRiskThresholds = async (req, res) => {
+  try {
+    const [versions, active] = await Promise.all([
+      riskThresholdService.listVersions(),
+      riskThresholdService.getActiveVersion(),
+    ]);
+    res.json({ activeVersionId: active.id, active, versions });
+  } catch (error) {
+    console.error('Error fetching risk thresholds:', error);
+    res.status(500).json({ error: 'Failed to fetch risk thresholds' });
+  }
+};
+
+// 🟢 Get one risk threshold version
+const getRiskThresholdVersion = async (req, res) => {
+  const id = parseVersionId(req);
+  if (id === null) return res.status(400).json({ error: 'Invalid version ID' });
+
+  try {
+    const version = await riskThresholdService.getVersion(id);
+    if (!version) return res.status(404).json({ error: 'Threshold version not found' });
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching risk threshold version:', error);
+    res.status(500).json({ error: 'Failed to fetch risk threshold version' });
+  }
+};
+
+// 🟢 Create a draft risk threshold version
+const createRiskThresholdDraft = async (req, res) => {
+  const { bands, notes } = req.body;
+  try {
+    riskThresholdService.validateBands(bands);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const version = await riskThresholdService.createDraft(bands, req.user.userId, notes);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Risk threshold draft ${version.id} created`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'RiskThresholdVersion',
+      targetId: version.id,
+      after: version,
+    }, req);
+    res.status(201).json(version);
+  } catch (error) {
+    console.error('Error creating risk threshold draft:', error);
+    res.status(500).json({ error: 'Failed to create risk threshold draft' });
+  }
+};
+
+// 🟢 Edit a draft risk threshold version
+const updateRiskThresholdDraft = async (req, res) => {
+  const id = parseVersionId(req);
+  if (id === null) return res.status(400).json({ error: 'Invalid version ID' });
+
+  try {
+    const previous = await riskThresholdService.getVersion(id);
+    const version = await riskThresholdService.updateDraft(id, req.body.bands, req.body.notes);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Risk threshold draft ${id} updated`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'RiskThresholdVersion',
+      targetId: id,
+      before: previous,
+      after: version,
+    }, req);
+    res.json(version);
+  } catch (error) {
+    res.status(thresholdErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+// 🟢 Activate a draft; new predictions use it from now on
+const activateRiskThresholdVersion = async (req, res) => {
+  const id = parseVersionId(req);
+  if (id === null) return res.status(400).json({ error: 'Invalid version ID' });
+
+  try {
+    const previous = await riskThresholdService.getActiveVersion();
+    const version = await riskThresholdService.activateVersion(id, req.user.userId);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Risk threshold version ${id} activated`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'RiskThresholdVersion',
+      targetId: id,
+      before: { activeVersionId: previous.id },
+      after: { activeVersionId: version.id },
+    }, req);
+    res.json(version);
+  } catch (error) {
+    res.status(thresholdErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+// 🟢 Preview how existing patients would be re-classified under a version
+const previewRiskThresholdVersion = async (req, res) => {
+  const id = parseVersionId(req);
+  if (id === null) return res.status(400).json({ error: 'Invalid version ID' });
+
+  try {
+    const version = await riskThresholdService.getVersion(id);
+    if (!version) return res.status(404).json({ error: 'Threshold version not found' });
+    res.json(await riskThresholdService.previewReclassification(version));
+  } catch (error) {
+    console.error('Error previewing risk thresholds:', error);
+    res.status(500).json({ error: 'Failed to preview risk thresholds' });
+  }
+};
+
+// 🟢 List recommendation rules
+const getRecommendationRules = async (req, res) => {
+  try {
+    const rules = await recommendationService.listRules();
+    res.json({
+      rules,
+      operators: Object.keys(recommendationService.OPERATORS),
+      categories: recommendationService.CATEGORIES,
     });
-    res.json(feedbacks);
+  } catch (error) {
+    console.error('Error fetching recommendation rules:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendation rules' });
+  }
+};
+
+// 🟢 Add a recommendation rule
+const createRecommendationRule = async (req, res) => {
+  try {
+    const rule = await recommendationService.createRule(req.body);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Recommendation rule ${rule.code} created`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'RecommendationRule',
+      targetId: rule.id,
+      after: rule,
+    }, req);
+    res.status(201).json(rule);
+  } catch (error) {
+    const status = error.message.includes('already exists') ? 409 : 400;
+    res.status(status).json({ error: error.message });
+  }
+};
+
+// 🟢 Edit, enable or disable a recommendation rule
+const updateRecommendationRule = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid rule ID' });
+
+  try {
+    const before = await prisma.recommendationRule.findUnique({ where: { id } });
+    const rule = await recommendationService.updateRule(id, req.body);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Recommendation rule ${rule.code} updated`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'RecommendationRule',
+      targetId: id,
+      before,
+      after: rule,
+    }, req);
+    res.json(rule);
+  } catch (error) {
+    const status = error.message.includes('not found') ? 404 : 400;
+    res.status(status).json({ error: error.message });
+  }
+};
+
+// 🟢 Scheduled digest emails
+const digestErrorStatus = (error) => (error.message === 'Digest schedule not found' ? 404 : 400);
+
+const getDigestSchedules = async (req, res) => {
+  try {
+    res.json({
+      schedules: await digestService.listSchedules(),
+      frequencies: Object.keys(digestService.FREQUENCIES),
+    });
+  } catch (error) {
+    console.error('Error fetching digest schedules:', error);
+    res.status(500).json({ error: 'Failed to fetch digest schedules' });
+  }
+};
+
+const createDigestSchedule = async (req, res) => {
+  try {
+    const schedule = await digestService.createSchedule(req.body, req.user.userId);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Digest schedule "${schedule.name}" created`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'DigestSchedule',
+      targetId: schedule.id,
+      after: schedule,
+    }, req);
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+const updateDigestSchedule = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid schedule ID' });
+
+  try {
+    const before = await prisma.digestSchedule.findUnique({ where: { id } });
+    const schedule = await digestService.updateSchedule(id, req.body);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Digest schedule "${schedule.name}" updated`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'DigestSchedule',
+      targetId: id,
+      before,
+      after: schedule,
+    }, req);
+    res.json(schedule);
+  } catch (error) {
+    res.status(digestErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+const deleteDigestSchedule = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid schedule ID' });
+
+  try {
+    const schedule = await digestService.deleteSchedule(id);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Digest schedule "${schedule.name}" deleted`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'DigestSchedule',
+      targetId: id,
+      before: schedule,
+    }, req);
+    res.status(204).send();
+  } catch (error) {
+    res.status(digestErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+// Sends the digest now; the run is logged like scheduled ones
+const runDigestNow = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid schedule ID' });
+
+  try {
+    const run = await digestService.runNow(id);
+    res.status(run.status === 'sent' ? 200 : 502).json(run);
+  } catch (error) {
+    res.status(digestErrorStatus(error)).json({ error: error.message });
+  }
+};
+
+const getDigestRuns = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid schedule ID' });
+
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(await digestService.listRuns(id, { page, limit }));
+  } catch (error) {
+    console.error('Error fetching digest runs:', error);
+    res.status(500).json({ error: 'Failed to fetch digest runs' });
+  }
+};
+
+// 🟢 Get feedbacks (filterable, searchable, paginated)
+const getAllFeedback = async (req, res) => {
+  let filters;
+  try {
+    filters = feedbackService.buildFeedbackFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(await feedbackService.listFeedback(filters, { page, limit }));
   } catch (error) {
     console.error("Error fetching feedback:", error);
     res.status(500).json({ error: 'Failed to fetch feedback' });
   }
 };
 
+// 🟢 Feedback counts by category and status (same filters as the list)
+const getFeedbackStats = async (req, res) => {
+  let filters;
+  try {
+    filters = feedbackService.buildFeedbackFilters(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await feedbackService.countFeedback(filters));
+  } catch (error) {
+    console.error('Error counting feedback:', error);
+    res.status(500).json({ error: 'Failed to count feedback' });
+  }
+};
+
+// 🟢 One feedback with its replies
+const getFeedbackById = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid feedback ID' });
+
+  try {
+    const feedback = await feedbackService.getFeedback(id);
+    if (!feedback) return res.status(404).json({ error: 'Feedback not found' });
+    res.json(feedback);
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({ error: 'Failed to fetch feedback' });
+  }
+};
+
+const feedbackErrorStatus = (error) => {
+  if (error.message === 'Feedback not found') return 404;
+  if (error.message.includes('required') || error.message.includes('must be')) return 400;
+  return 500;
+};
+
+// 🟢 Move feedback through the triage workflow
+const updateFeedbackStatus = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid feedback ID' });
+
+  try {
+    const before = await prisma.feedback.findUnique({ where: { id } });
+    const feedback = await feedbackService.updateStatus(id, req.body.status);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Feedback ${id} marked ${feedback.status}`,
+      actionType: auditService.AUDIT_ACTIONS.FEEDBACK_UPDATE,
+      targetType: 'Feedback',
+      targetId: id,
+      before: before && { status: before.status },
+      after: { status: feedback.status },
+    }, req);
+    res.json(feedback);
+  } catch (error) {
+    const status = feedbackErrorStatus(error);
+    if (status === 500) console.error('Error updating feedback status:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to update feedback' : error.message });
+  }
+};
+
+// 🟢 Reply to feedback; the submitter is notified by email
+const replyToFeedback = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) return res.status(400).json({ error: 'Invalid feedback ID' });
+
+  try {
+    const feedback = await feedbackService.addReply(id, req.user.userId, req.body);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Replied to feedback ${id}`,
+      actionType: auditService.AUDIT_ACTIONS.FEEDBACK_UPDATE,
+      targetType: 'Feedback',
+      targetId: id,
+      after: { status: feedback.status, replies: feedback.replies.length },
+    }, req);
+    res.status(201).json(feedback);
+  } catch (error) {
+    const status = feedbackErrorStatus(error);
+    if (status === 500) console.error('Error replying to feedback:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to reply to feedback' : error.message });
+  }
+};
+
+// Maps trash service errors to HTTP statuses
+const trashErrorStatus = (error) => {
+  if (error.message.includes('not found')) return 404;
+  if (error.message.startsWith('Cannot')) return 409;
+  if (error.message.startsWith('Invalid') || error.message.includes('must be')) return 400;
+  return 500;
+};
+
+// 🟢 Browse the trash: /trash/users | /trash/patients
+const getTrash = (type) => async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+    res.json(await trashService.listTrash(type, { page, limit }));
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+};
+
+// 🟢 Restore a user, with the patients deleted together with them
+const restoreUser = async (req, res) => {
+  try {
+    const { user, patients } = await trashService.restoreUser(req.params.id);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Restored user ${user.email} from trash`,
+      actionType: auditService.AUDIT_ACTIONS.RESTORE,
+      targetType: 'User',
+      targetId: user.id,
+      before: { deletedAt: user.deletedAt, deletedById: user.deletedById },
+      details: { patients },
+    }, req);
+    res.json({ message: 'User restored', user: { id: user.id, email: user.email, name: user.name, role: user.role }, patients });
+  } catch (error) {
+    const status = trashErrorStatus(error);
+    if (status === 500) console.error('Error restoring user:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to restore user' : error.message });
+  }
+};
+
+// 🟢 Restore a patient; their owner must not be in the trash
+const restorePatient = async (req, res) => {
+  const patientId = parseInt(req.params.id, 10);
+  if (isNaN(patientId)) return res.status(400).json({ error: 'Invalid patient ID' });
+
+  try {
+    const patient = await trashService.restorePatient(patientId);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Restored patient ${patient.name} from trash`,
+      actionType: auditService.AUDIT_ACTIONS.RESTORE,
+      targetType: 'Patient',
+      targetId: patientId,
+      before: { deletedAt: patient.deletedAt, deletedById: patient.deletedById },
+    }, req);
+    res.json({ message: 'Patient restored', patient: { Id: patient.Id, name: patient.name, userId: patient.userId } });
+  } catch (error) {
+    const status = trashErrorStatus(error);
+    if (status === 500) console.error('Error restoring patient:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to restore patient' : error.message });
+  }
+};
+
+// 🟢 Permanently erase a user in the trash, without waiting for the retention period
+const purgeUser = async (req, res) => {
+  try {
+    const erased = await trashService.purgeUser(req.params.id);
+    await auditService.record({
+      userId: req.user.userId,
+      action: 'Purged user from trash',
+      actionType: auditService.AUDIT_ACTIONS.PURGE,
+      targetType: 'User',
+      targetId: req.params.id,
+      details: erased,
+    }, req);
+    res.status(204).send();
+  } catch (error) {
+    const status = trashErrorStatus(error);
+    if (status === 500) console.error('Error purging user:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to purge user' : error.message });
+  }
+};
+
+// 🟢 Permanently delete a patient in the trash, with their assessments
+const purgePatient = async (req, res) => {
+  const patientId = parseInt(req.params.id, 10);
+  if (isNaN(patientId)) return res.status(400).json({ error: 'Invalid patient ID' });
+
+  try {
+    await trashService.purgePatient(patientId);
+    await auditService.record({
+      userId: req.user.userId,
+      action: 'Purged patient from trash',
+      actionType: auditService.AUDIT_ACTIONS.PURGE,
+      targetType: 'Patient',
+      targetId: patientId,
+    }, req);
+    res.status(204).send();
+  } catch (error) {
+    const status = trashErrorStatus(error);
+    if (status === 500) console.error('Error purging patient:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to purge patient' : error.message });
+  }
+};
+
+// 🟢 Days items stay in the trash before the retention job purges them (0 = never)
+const getTrashRetention = async (req, res) => {
+  try {
+    res.json({ retentionDays: await trashService.getRetentionDays() });
+  } catch (error) {
+    console.error('Error fetching trash retention:', error);
+    res.status(500).json({ error: 'Failed to fetch trash retention' });
+  }
+};
+
+const updateTrashRetention = async (req, res) => {
+  try {
+    const previous = await trashService.getRetentionDays();
+    const retentionDays = await trashService.setRetentionDays(req.body.retentionDays);
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Trash retention set to ${retentionDays} days`,
+      actionType: auditService.AUDIT_ACTIONS.SETTINGS_CHANGE,
+      targetType: 'Setting',
+      targetId: 'trashRetentionDays',
+      before: { retentionDays: previous },
+      after: { retentionDays },
+    }, req);
+    res.json({ retentionDays });
+  } catch (error) {
+    const status = trashErrorStatus(error);
+    if (status === 500) console.error('Error updating trash retention:', error);
+    res.status(status).json({ error: status === 500 ? 'Failed to update trash retention' : error.message });
+  }
+};
+
 module.exports = { 
   getAllUsers, getAllPatients, deleteUser, updateUserRole, 
   fetchSystemStats, fetchAuditLogs, deletePatient, 
-  exportCSV, exportExcel, fetchPredictionStats,
-  getAllFeedback // ← add this
+  exportPatients, fetchPredictionStats, getPredictionAnalytics, getModelPerformance,
+  getRiskThresholds, getRiskThresholdVersion, createRiskThresholdDraft, updateRiskThresholdDraft,
+  activateRiskThresholdVersion, previewRiskThresholdVersion,
+  getRecommendationRules, createRecommendationRule, updateRecommendationRule,
+  getDigestSchedules, createDigestSchedule, updateDigestSchedule, deleteDigestSchedule,
+  runDigestNow, getDigestRuns,
+  getAllFeedback, // ← add this
+  getFeedbackStats, getFeedbackById, updateFeedbackStatus, replyToFeedback,
+  getPredictionStrategy, updatePredictionStrategy,
+  getLockouts, unlockUser, getRoles,
+  getTrash, restoreUser, restorePatient, purgeUser, purgePatient, getTrashRetention, updateTrashRetention
 };
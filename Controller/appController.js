@@ -1,80 +1,22 @@
 const { PrismaClient } = require('@prisma/client');
-const nodemailer = require('nodemailer');
 const dotenv = require('dotenv');  // Import dotenv
 const appService = require('../Service/appService');
+const assessmentService = require('../Service/assessmentService');
+const auditService = require('../Service/auditService');
+const patientQueryService = require('../Service/patientQueryService');
+const reportService = require('../Service/reportService');
+const fhirService = require('../Service/fhirService');
+const emailService = require('../Service/emailService');
+const patientValidation = require('../Service/patientValidation');
+const diagnosisService = require('../Service/diagnosisService');
+const trashService = require('../Service/trashService');
+const { PERMISSIONS, hasPermission } = require('../middleware/permissions');
 
 // Load environment variables from the .env file
 dotenv.config();
 
 const prisma = new PrismaClient();
 
-// Function to validate and parse patient data
-const parsePatientData = (patientData) => {
-  const fieldsToValidate = [
-    'age', 'bmi', 'insulin', 'Pregnancies', 'Glucose',
-    'BloodPressure', 'SkinThickness', 'DiabetesPedigreeFunction', 'name'
-  ];
-
-  for (let field of fieldsToValidate) {
-    if ((patientData[field] === undefined || isNaN(patientData[field])) && field !== 'name') {
-      throw new Error(`Invalid or missing value for field: ${field}`);
-    }
-  }
-
-  return {
-    name: patientData.name || 'Unknown',
-    Age: parseInt(patientData.age, 10) || 0,
-    BMI: parseFloat(patientData.bmi) || 0.0,
-    Insulin: parseFloat(patientData.insulin) || 0.0,
-    Pregnancies: parseInt(patientData.Pregnancies, 10) || 0,
-    Glucose: parseFloat(patientData.Glucose) || 0.0,
-    BloodPressure: parseFloat(patientData.BloodPressure) || 0.0,
-    SkinThickness: parseFloat(patientData.SkinThickness) || 0.0,
-    DiabetesPedigreeFunction: parseFloat(patientData.DiabetesPedigreeFunction) || 0.0,
-    prediction: false,
-    precentage: 0.0, // Fixed field name
-    userId: patientData.userId,
-  };
-};
-
-// Function to determine risk level and recommendation
-const getRiskLevel = (precentage) => {
-  if (precentage < 40) {
-    return { riskLevel: 'Low', recommendation: 'Maintain a healthy lifestyle and regular checkups.' };
-  } else if (precentage < 70) {
-    return { riskLevel: 'Moderate', recommendation: 'Monitor health regularly and consider lifestyle improvements like diet and exercise.' };
-  } else if (precentage < 90) {
-    return { riskLevel: 'High', recommendation: 'Consult a doctor and undergo further medical checkups.' };
-  } else {
-    return { riskLevel: 'Critical', recommendation: 'Immediate medical consultation is required.' };
-  }
-};
-
-// Create a Nodemailer transporter using environment variables
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER, // Fetch email from .env
-    pass: process.env.EMAIL_PASS, // Fetch password from .env
-  },
-});
-
-// Function to send email
-const sendEmailNotification = async (userEmail, patientName, riskLevel, prediction) => {
-  const mailOptions = {
-    from: process.env.EMAIL_USER, // Use the email from the .env file
-    to: userEmail,
-    subject: `Patient Prediction and Risk Level: ${patientName}`,
-    text: `Hello,\n\nThis is an update for your patient ${patientName}.\n\nRisk Level: ${riskLevel}\nPrediction: ${prediction ? 'Diabetic' : 'Not Diabetic'}\n\nBest regards,\nYour Health Platform`,
-  };
-
-  try {
-    await transporter.sendMail(mailOptions);
-  } catch (error) {
-    console.error('Error sending email:', error);
-  }
-};
-
 // 🟢 Updated Predict Function with Email Notification Logic
 const predict = async (req, res) => {
   try {
@@ -93,65 +35,72 @@ const predict = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const userName = user.name;
     const userEmail = user.email;
 
-    // Parse and validate the incoming patient data
-    let patientData = parsePatientData(req.body);
-    patientData.userId = userId;
-    patientData.name = userName;
-
-    // Call the Python prediction service
-    const predictionResponse = await appService.callPythonService(patientData);
-
-    if (!predictionResponse || typeof predictionResponse !== 'object') {
-      throw new Error('Invalid response from prediction service');
+    // Parse and validate the incoming patient data (every invalid field is reported)
+    let patientData;
+    try {
+      patientData = await assessmentService.parsePatientData(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid patient data', details: error.details || [] });
     }
+    patientData.userId = userId;
 
-    // Find the best model with the highest percentage
-    let bestModel = Object.keys(predictionResponse)[0];
-    let highestPrecentage = predictionResponse[bestModel].precentage;
-    let finalPrediction = predictionResponse[bestModel].prediction;
-
-    Object.keys(predictionResponse).forEach(model => {
-      if (predictionResponse[model].precentage > highestPrecentage) {
-        bestModel = model;
-        highestPrecentage = predictionResponse[model].precentage;
-        finalPrediction = predictionResponse[model].prediction;
+    // Re-assessing an existing patient requires that it belongs to this user
+    let existingPatient = null;
+    if (req.body.patientId !== undefined) {
+      const patientId = parseInt(req.body.patientId, 10);
+      existingPatient = isNaN(patientId)
+        ? null
+        : await prisma.patient.findFirst({ where: { Id: patientId, userId, deletedAt: null } });
+      if (!existingPatient) {
+        return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
       }
-    });
-
-    // Assign risk level and recommendation
-    const { riskLevel, recommendation } = getRiskLevel(highestPrecentage);
-
-    // Update patient data with results
-    patientData.prediction = finalPrediction;
-    patientData.precentage = highestPrecentage;
-    patientData.riskLevel = riskLevel;
-    patientData.recommendation = recommendation;
-
-    // Save the patient data in the database
-    const patient = await appService.createPatient(patientData);
+    }
 
-    // Add a notification for the patient
-    const notificationMessage = `Patient ${patient.name} has a ${patient.riskLevel} risk level. Prediction: ${patient.prediction ? 'Diabetic' : 'Not Diabetic'}`;
-    const notification = await prisma.notification.create({
-      data: {
-        patientId: patient.Id,
-        message: notificationMessage,
-        isRead: false,
+    // Predict, save the patient/assessment and create the in-app notification
+    const { patient, assessment, notification } = await assessmentService.runAssessment(patientData, existingPatient);
+
+    await auditService.record({
+      userId,
+      action: existingPatient ? 'Patient re-assessed' : 'Prediction created',
+      actionType: auditService.AUDIT_ACTIONS.PREDICT,
+      targetType: 'Patient',
+      targetId: patient.Id,
+      after: {
+        assessmentId: assessment.id,
+        prediction: patient.prediction,
+        precentage: patient.precentage,
+        riskLevel: patient.riskLevel,
+        engine: patient.engine,
       },
-    });
+    }, req);
 
-    // Send email notification to the user
-    await sendEmailNotification(userEmail, patient.name, patient.riskLevel, patient.prediction);
+    // Email the result; the outbox retries if the mail server is down
+    await emailService.queueEmail('predictionResult', userEmail, {
+      patientName: patient.name,
+      riskLevel: patient.riskLevel,
+      prediction: patient.prediction,
+      precentage: patient.precentage,
+      recommendation: patient.recommendation,
+      recommendations: patient.recommendations || [],
+    }).catch(error => console.error('Error queueing email:', error.message));
 
     // Send response with prediction results
     return res.status(200).json({
+      patientId: patient.Id,
+      assessmentId: assessment.id,
       prediction: patient.prediction,
       precentage: patient.precentage,
       riskLevel: patient.riskLevel,
       recommendation: patient.recommendation,
+      recommendations: patient.recommendations,
+      engine: patient.engine,
+      strategy: patient.strategy,
+      imputedFields: patient.imputedFields,
+      explanation: patient.explanation,
+      thresholdVersionId: patient.thresholdVersionId,
+      models: assessment.predictionResults,
       notification: notification,  // Include notification data in the response
     });
   } catch (error) {
@@ -164,105 +113,465 @@ const predict = async (req, res) => {
 
 
 
-// 🟢 Fetch all patients for the authenticated user
+// 🟢 Fetch the authenticated user's patients (filtered, sorted, paginated)
 
 const getAllPatients = async (req, res) => {
+  const userId = req.user?.userId;
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
 
+  let where;
+  let pagination;
   try {
+    // Clinicians only ever list their own patients, whatever `owner` says
+    where = { ...patientQueryService.buildPatientFilters(req.query), userId };
+    pagination = patientQueryService.buildPatientPagination(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
 
-    const userId = req.user?.userId;
+  try {
+    const { page, limit, ...findArgs } = pagination;
+    const [patients, total] = await Promise.all([
+      prisma.patient.findMany({ where, ...findArgs }),
+      prisma.patient.count({ where }),
+    ]);
 
-    if (!userId) {
+    return res.status(200).json({
+      data: patients,
+      meta: patientQueryService.paginationMeta(patients, total, pagination),
+    });
+  } catch (error) {
+    console.error('Error fetching patients:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+};
 
-      return res.status(401).json({ error: 'User not authenticated' });
+// Restricts a patient lookup to the user's own patients, unless their role
+// grants `anyPermission` (admins override ownership this way); patients in
+// the trash are never found
+const patientAccessFilter = (req, patientId, anyPermission = PERMISSIONS.PATIENTS_READ_ANY) => {
+  const where = { Id: patientId, deletedAt: null };
+  if (!hasPermission(req.user?.role, anyPermission)) where.userId = req.user?.userId;
+  return where;
+};
+
+const findAccessiblePatient = (req, patientId, anyPermission) =>
+  prisma.patient.findFirst({ where: patientAccessFilter(req, patientId, anyPermission) });
+
+// 🟢 Fetch details of a specific patient
 
+const getPatientDetails = async (req, res) => {
+  try {
+    const patientId = parseInt(req.params.id, 10);
+    if (isNaN(patientId)) {
+      return res.status(400).json({ error: 'Invalid patient ID' });
     }
 
+    // Only the owner (or a role allowed to read any patient) may see the record
+    const patient = await prisma.patient.findFirst({
+      where: patientAccessFilter(req, patientId),
+      include: {
+        assessments: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: { predictionResults: { orderBy: { precentage: 'desc' } } },
+        },
+        _count: { select: { assessments: true } },
+      },
+    });
 
-    const patients = await prisma.patient.findMany({
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
 
-      where: { userId: userId },
+    const { assessments: [latestAssessment], _count, ...patientRecord } = patient;
 
+    return res.status(200).json({
+      ...patientRecord,
+      latestAssessmentId: latestAssessment ? latestAssessment.id : null,
+      assessmentCount: _count.assessments,
+      predictionResults: latestAssessment ? latestAssessment.predictionResults : [],
     });
+  } catch (error) {
+    console.error('Error fetching patient details:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
+// 🟢 Update a patient; clinical edits require a re-prediction
 
-    if (!patients || patients.length === 0) {
+const updatePatient = async (req, res) => {
+  const patientId = parseInt(req.params.id, 10);
+  if (isNaN(patientId)) {
+    return res.status(400).json({ error: 'Invalid patient ID' });
+  }
 
-      return res.status(404).json({ message: 'No patients found for this user.' });
+  try {
+    const patient = await findAccessiblePatient(req, patientId, PERMISSIONS.PATIENTS_WRITE_ANY);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
 
+    const { repredict, ...changes } = req.body;
+    const reassess = repredict === true || repredict === 'true';
+
+    // Clinical values (in any supported casing, or as weight/height) only
+    // change through a new assessment; other keys are ignored
+    const edited = patientValidation.normalizePatientInput(changes);
+    const clinicalChanges = Object.keys(edited)
+      .filter(field => patientValidation.CLINICAL_FIELDS.includes(field) || field === 'weight' || field === 'height');
+    if (clinicalChanges.length > 0 && !reassess) {
+      return res.status(400).json({
+        error: 'Clinical values can only be changed with a re-assessment; send repredict: true',
+        fields: clinicalChanges,
+      });
     }
 
+    // Validate the merged record with the same rules as /predict
+    let patientData;
+    try {
+      patientData = await assessmentService.parsePatientData(assessmentService.mergePatientInput(patient, changes));
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid patient data', details: error.details || [] });
+    }
 
-    return res.status(200).json(patients);
+    let updated;
+    let assessment = null;
+    if (reassess) {
+      patientData.userId = req.user.userId;
+      ({ patient: updated, assessment } = await assessmentService.runAssessment(patientData, patient, {
+        rename: edited.name !== undefined,
+      }));
+    } else {
+      updated = await appService.renamePatient(patientId, patientData.name);
+    }
 
+    await auditService.record({
+      userId: req.user.userId,
+      action: assessment ? `Updated and re-assessed patient ${updated.name}` : `Updated patient ${updated.name}`,
+      actionType: auditService.AUDIT_ACTIONS.PATIENT_UPDATE,
+      targetType: 'Patient',
+      targetId: patientId,
+      before: patient,
+      after: updated,
+    }, req);
+
+    return res.status(200).json({ ...updated, assessmentId: assessment ? assessment.id : undefined });
   } catch (error) {
+    console.error('Error updating patient:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    console.error('Error fetching patients:', error.message);
-
-    return res.status(500).json({ error: error.message });
+// 🟢 Record the confirmed diagnosis (ground truth) of a patient
 
+const recordDiagnosis = async (req, res) => {
+  const patientId = parseInt(req.params.id, 10);
+  if (isNaN(patientId)) {
+    return res.status(400).json({ error: 'Invalid patient ID' });
   }
 
-};
+  try {
+    const patient = await findAccessiblePatient(req, patientId, PERMISSIONS.PATIENTS_WRITE_ANY);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
 
+    let diagnosis;
+    try {
+      diagnosis = diagnosisService.validateDiagnosis(req.body, req.user.userId);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
-// 🟢 Fetch details of a specific patient
+    const updated = await prisma.patient.update({ where: { Id: patientId }, data: diagnosis });
+
+    const pick = (record) => Object.fromEntries(Object.keys(diagnosis).map(field => [field, record[field]]));
+    await auditService.record({
+      userId: req.user.userId,
+      action: diagnosis.confirmedDiagnosis === null
+        ? `Cleared confirmed diagnosis of patient ${patient.name}`
+        : `Recorded confirmed diagnosis of patient ${patient.name}`,
+      actionType: auditService.AUDIT_ACTIONS.PATIENT_UPDATE,
+      targetType: 'Patient',
+      targetId: patientId,
+      before: pick(patient),
+      after: pick(updated),
+    }, req);
 
-const getPatientDetails = async (req, res) => {
+    return res.status(200).json({
+      patientId,
+      prediction: updated.prediction,
+      ...pick(updated),
+    });
+  } catch (error) {
+    console.error('Error recording diagnosis:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// 🟢 Delete a patient the user owns (or any patient with patients:delete:any)
+
+const deletePatient = async (req, res) => {
+  const patientId = parseInt(req.params.id, 10);
+  if (isNaN(patientId)) {
+    return res.status(400).json({ error: 'Invalid patient ID' });
+  }
 
   try {
+    const patient = await findAccessiblePatient(req, patientId, PERMISSIONS.PATIENTS_DELETE_ANY);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
 
-    // const userId = req.user?.userId;
+    // Goes to the trash; admins can restore it until it is purged
+    await trashService.softDeletePatient(patientId, req.user.userId);
 
-    // if (!userId) {
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Moved patient ${patient.name} to trash`,
+      actionType: auditService.AUDIT_ACTIONS.PATIENT_DELETE,
+      targetType: 'Patient',
+      targetId: patientId,
+      before: patient,
+    }, req);
 
-    //   return res.status(401).json({ error: 'User not authenticated' });
+    return res.status(204).send(); // No content
+  } catch (error) {
+    console.error('Error deleting patient:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    // }
 
+// Metrics available as time-series on the trends endpoint
+const TREND_METRICS = ['Glucose', 'BMI', 'BloodPressure', 'Insulin', 'SkinThickness', 'Age', 'precentage', 'riskLevel'];
+const DEFAULT_TREND_METRICS = ['Glucose', 'BMI', 'BloodPressure', 'riskLevel'];
 
-    const patientId = parseInt(req.params.id, 10);
+// 🟢 List every assessment recorded for a patient
 
+const getPatientAssessments = async (req, res) => {
+  try {
+    const patientId = parseInt(req.params.id, 10);
     if (isNaN(patientId)) {
-
       return res.status(400).json({ error: 'Invalid patient ID' });
+    }
 
+    const patient = await findAccessiblePatient(req, patientId);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
     }
 
+    const assessments = await prisma.assessment.findMany({
+      where: { patientId },
+      orderBy: { createdAt: 'desc' },
+      include: { predictionResults: { orderBy: { precentage: 'desc' } } },
+    });
 
-    // Fetch the specific patient's details (only if the patient belongs to the authenticated user)
+    return res.status(200).json({ patientId, name: patient.name, assessments });
+  } catch (error) {
+    console.error('Error fetching assessments:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    const patient = await prisma.patient.findUnique({
+// 🟢 Time-series of clinical values and risk level for a patient
 
-      where: {
+const getPatientTrends = async (req, res) => {
+  try {
+    const patientId = parseInt(req.params.id, 10);
+    if (isNaN(patientId)) {
+      return res.status(400).json({ error: 'Invalid patient ID' });
+    }
 
-        Id: patientId,
+    const metrics = req.query.metrics
+      ? String(req.query.metrics).split(',').map(metric => metric.trim()).filter(Boolean)
+      : DEFAULT_TREND_METRICS;
+    const invalidMetrics = metrics.filter(metric => !TREND_METRICS.includes(metric));
+    if (invalidMetrics.length > 0) {
+      return res.status(400).json({
+        error: `Invalid metrics: ${invalidMetrics.join(', ')}. Allowed values: ${TREND_METRICS.join(', ')}`,
+      });
+    }
 
-       // userId: userId, // Ensures the user only sees their own patients
+    const patient = await findAccessiblePatient(req, patientId);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
 
-      },
+    const select = { id: true, createdAt: true };
+    metrics.forEach(metric => { select[metric] = true; });
+    if (metrics.includes('riskLevel')) select.precentage = true;
 
+    const assessments = await prisma.assessment.findMany({
+      where: { patientId },
+      orderBy: { createdAt: 'asc' },
+      select,
     });
 
+    const series = {};
+    metrics.forEach(metric => {
+      series[metric] = assessments.map(assessment => {
+        const point = { assessmentId: assessment.id, date: assessment.createdAt, value: assessment[metric] };
+        if (metric === 'riskLevel') point.precentage = assessment.precentage;
+        return point;
+      });
+    });
 
-    if (!patient) {
+    return res.status(200).json({ patientId, name: patient.name, count: assessments.length, series });
+  } catch (error) {
+    console.error('Error fetching patient trends:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+// 🟢 Printable PDF screening report for a patient
 
+const getPatientReport = async (req, res) => {
+  try {
+    const patientId = parseInt(req.params.id, 10);
+    if (isNaN(patientId)) {
+      return res.status(400).json({ error: 'Invalid patient ID' });
     }
 
+    // Same ownership rules as the detail endpoint
+    const patient = await prisma.patient.findFirst({
+      where: patientAccessFilter(req, patientId),
+      include: {
+        user: { select: { name: true } },
+        assessments: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          select: { createdAt: true, user: { select: { name: true } } },
+        },
+      },
+    });
 
-    return res.status(200).json(patient);
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
 
+    const [latestAssessment] = patient.assessments;
+    const clinicianName = latestAssessment?.user?.name || patient.user?.name;
+
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Generated screening report for patient ${patientId}`,
+      actionType: auditService.AUDIT_ACTIONS.EXPORT,
+      targetType: 'Patient',
+      targetId: patientId,
+      details: { format: 'pdf' },
+    }, req);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=patient-${patientId}-report.pdf`);
+    reportService.writePatientReport(patient, {
+      clinicianName,
+      assessedAt: latestAssessment?.createdAt,
+    }, res);
   } catch (error) {
+    console.error('Error generating patient report:', error);
+    if (res.headersSent) return res.end();
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+};
 
-    console.error('Error fetching patient details:', error);
+// 🟢 Patient and its latest assessment as a FHIR R4 Bundle
 
+const exportPatientFhir = async (req, res) => {
+  try {
+    const patientId = parseInt(req.params.id, 10);
+    if (isNaN(patientId)) {
+      return res.status(400).json({ error: 'Invalid patient ID' });
+    }
+
+    const patient = await prisma.patient.findFirst({
+      where: patientAccessFilter(req, patientId),
+      include: {
+        assessments: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: { user: { select: { id: true, name: true } } },
+        },
+      },
+    });
+
+    if (!patient) {
+      return res.status(404).json({ error: 'Patient not found or does not belong to the user.' });
+    }
+
+    // Patients without history still carry their latest values on the record
+    const [latestAssessment] = patient.assessments;
+    const assessment = latestAssessment || { ...patient, id: patient.Id, createdAt: patient.UpdatedAt };
+
+    await auditService.record({
+      userId: req.user.userId,
+      action: `Exported patient ${patientId} as FHIR`,
+      actionType: auditService.AUDIT_ACTIONS.EXPORT,
+      targetType: 'Patient',
+      targetId: patientId,
+      details: { format: 'fhir' },
+    }, req);
+
+    res.setHeader('Content-Type', 'application/fhir+json');
+    const baseUrl = process.env.FHIR_BASE_URL || `${req.protocol}://${req.get('host')}/api/fhir`;
+    return res.status(200).send(JSON.stringify(fhirService.toBundle(patient, assessment, latestAssessment?.user, baseUrl)));
+  } catch (error) {
+    console.error('Error exporting FHIR bundle:', error);
     return res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// 🟢 Import patients from a FHIR Bundle; each one is assessed like a predict call
+
+const importFhirBundle = async (req, res) => {
+  const userId = req.user.userId;
 
+  let parsed;
+  try {
+    parsed = fhirService.parseBundle(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const { patients, errors, warnings } = parsed;
+  const imported = [];
+
+  for (const { resource, input } of patients) {
+    try {
+      const patientData = await assessmentService.parsePatientData(input);
+      patientData.userId = userId;
+
+      const { patient, assessment } = await assessmentService.runAssessment(patientData);
+      imported.push({
+        resource,
+        patientId: patient.Id,
+        assessmentId: assessment.id,
+        prediction: patient.prediction,
+        precentage: patient.precentage,
+        riskLevel: patient.riskLevel,
+      });
+    } catch (error) {
+      errors.push({ resource, index: null, message: error.message, details: error.details });
+    }
   }
 
+  await auditService.record({
+    userId,
+    action: `Imported ${imported.length} patient(s) from FHIR`,
+    actionType: auditService.AUDIT_ACTIONS.IMPORT,
+    targetType: 'Patient',
+    details: { format: 'fhir', imported: imported.map(entry => entry.patientId), failed: errors.length },
+  }, req);
+
+  return res.status(imported.length > 0 ? 201 : 422).json({ imported, errors, warnings });
 };
 
 
-module.exports = { predict, getAllPatients, getPatientDetails };
+module.exports = {
+  predict, getAllPatients, getPatientDetails, updatePatient, deletePatient, recordDiagnosis,
+  getPatientAssessments, getPatientTrends, getPatientReport,
+  exportPatientFhir, importFhirBundle
+};
@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const { Parser } = require('json2csv');
+const batchService = require('../Service/batchService');
+const auditService = require('../Service/auditService');
+const patientValidation = require('../Service/patientValidation');
+const { neutralizeFormula } = require('../Service/exportService');
+
+const prisma = new PrismaClient();
+
+const jobSummary = (job) => ({
+  id: job.id,
+  fileName: job.fileName,
+  status: job.status,
+  totalRows: job.totalRows,
+  processedRows: job.processedRows,
+  succeededRows: job.succeededRows,
+  failedRows: job.failedRows,
+  progress: job.totalRows ? Math.round((job.processedRows / job.totalRows) * 100) : 0,
+  error: job.error,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+});
+
+// 🟢 Upload a CSV/XLSX file and start a batch prediction job
+const createBatch = async (req, res) => {
+  const userId = req.user?.userId;
+  if (!userId) {
+    return res.status(401).json({ error: 'User not authenticated' });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ error: 'A CSV or XLSX file is required in the "file" field' });
+  }
+
+  let job;
+  try {
+    job = await batchService.createJob(userId, req.file);
+  } catch (error) {
+    console.error('Batch upload rejected:', error.message);
+    return res.status(400).json({ error: error.message });
+  }
+
+  await auditService.record({
+    userId,
+    action: 'Batch prediction uploaded',
+    actionType: auditService.AUDIT_ACTIONS.BATCH_PREDICT,
+    targetType: 'BatchJob',
+    targetId: job.id,
+    details: { fileName: job.fileName, totalRows: job.totalRows },
+  }, req);
+
+  batchService.enqueueJob(job.id);
+  return res.status(202).json(jobSummary(job));
+};
+
+// 🟢 List the authenticated user's batch jobs
+const getBatches = async (req, res) => {
+  try {
+    const jobs = await prisma.batchJob.findMany({
+      where: { userId: req.user?.userId },
+      orderBy: { createdAt: 'desc' },
+    });
+    return res.status(200).json(jobs.map(jobSummary));
+  } catch (error) {
+    console.error('Error fetching batch jobs:', error);
+    return res.status(500).json({ error: 'Failed to fetch batch jobs' });
+  }
+};
+
+// 🟢 Get progress of a single batch job
+const getBatch = async (req, res) => {
+  try {
+    const job = await prisma.batchJob.findFirst({
+      where: { id: req.params.id, userId: req.user?.userId },
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+    return res.status(200).json(jobSummary(job));
+  } catch (error) {
+    console.error('Error fetching batch job:', error);
+    return res.status(500).json({ error: 'Failed to fetch batch job' });
+  }
+};
+
+// 🟢 Download per-row results of a batch job (CSV by default, or ?format=json)
+const downloadBatchResults = async (req, res) => {
+  try {
+    const job = await prisma.batchJob.findFirst({
+      where: { id: req.params.id, userId: req.user?.userId },
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Batch job not found' });
+    }
+
+    const rows = await prisma.batchJobRow.findMany({
+      where: { jobId: job.id },
+      orderBy: { rowNumber: 'asc' },
+    });
+
+    const results = rows.map(row => ({
+      rowNumber: row.rowNumber,
+      status: row.status,
+      error: row.error,
+      patientId: row.patientId,
+      assessmentId: row.assessmentId,
+      prediction: row.prediction,
+      precentage: row.precentage,
+      riskLevel: row.riskLevel,
+      ...patientValidation.normalizePatientInput(row.input),
+    }));
+
+    if (req.query.format === 'json') {
+      return res.status(200).json({ job: jobSummary(job), results });
+    }
+
+    const fields = [
+      'rowNumber', 'status', 'error', 'patientId', 'assessmentId',
+      'prediction', 'precentage', 'riskLevel',
+      'name', ...patientValidation.CLINICAL_FIELDS,
+      // Units as uploaded; BMI may have been derived from weight and height
+      'glucoseUnit', 'weight', 'weightUnit', 'height', 'heightUnit'
+    ];
+    // Uploaded cells (names, errors quoting them) must not turn into formulas
+    const csv = new Parser({ fields }).parse(results.map(result =>
+      Object.fromEntries(Object.entries(result).map(([key, value]) => [key, neutralizeFormula(value)]))));
+
+    res
+      .setHeader('Content-Type', 'text/csv')
+      .setHeader('Content-Disposition', `attachment; filename="batch_${job.id}_results.csv"`)
+      .send(csv);
+  } catch (error) {
+    console.error('Error exporting batch results:', error);
+    return res.status(500).json({ error: 'Failed to export batch results' });
+  }
+};
+
+module.exports = { createBatch, getBatches, getBatch, downloadBatchResults };
@@ -0,0 +1,170 @@
+const { PrismaClient } = require('@prisma/client');
+const notificationService = require('../Service/notificationService');
+const { isSessionActive } = require('../middleware/auth');
+
+const prisma = new PrismaClient();
+
+const HEARTBEAT_INTERVAL = 25000;
+
+// Finds a notification that belongs to one of the user's patients
+const findOwnedNotification = (id, userId) =>
+  prisma.notification.findFirst({ where: { id, patient: { userId, deletedAt: null } } });
+
+// 🟢 List notifications for the authenticated user's patients (paginated)
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user?.userId;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const where = { patient: { userId, deletedAt: null } };
+    if (req.query.unread === 'true') where.isRead = false;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        orderBy: { date: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit,
+        include: { patient: { select: { Id: true, name: true } } },
+      }),
+      prisma.notification.count({ where }),
+      notificationService.countUnread(userId),
+    ]);
+
+    res.json({
+      data: notifications,
+      meta: { page, limit, total, totalPages: Math.ceil(total / limit), unreadCount },
+    });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+};
+
+// 🟢 Unread notification count
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await notificationService.countUnread(req.user?.userId);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Error counting notifications:', error);
+    res.status(500).json({ error: 'Failed to count notifications' });
+  }
+};
+
+// 🟢 Mark a single notification as read
+const markAsRead = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid notification ID' });
+  }
+
+  try {
+    const notification = await findOwnedNotification(id, req.user?.userId);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const updated = await prisma.notification.update({
+      where: { id },
+      data: { isRead: true },
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error updating notification:', error);
+    res.status(500).json({ error: 'Failed to update notification' });
+  }
+};
+
+// 🟢 Mark every notification as read
+const markAllAsRead = async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { isRead: false, patient: { userId: req.user?.userId, deletedAt: null } },
+      data: { isRead: true },
+    });
+    res.json({ updated: count });
+  } catch (error) {
+    console.error('Error updating notifications:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+};
+
+// 🟢 Dismiss (delete) a notification
+const deleteNotification = async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: 'Invalid notification ID' });
+  }
+
+  try {
+    const notification = await findOwnedNotification(id, req.user?.userId);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    await prisma.notification.delete({ where: { id } });
+    res.status(204).send(); // No content
+  } catch (error) {
+    console.error('Error deleting notification:', error);
+    res.status(500).json({ error: 'Failed to delete notification' });
+  }
+};
+
+// 🟢 Single-use ticket for opening the stream with EventSource (?ticket=)
+const createStreamTicket = (req, res) => {
+  res.status(201).json(notificationService.issueStreamTicket(req.user));
+};
+
+// 🟢 Server-Sent Events stream of new notifications; closed once the session
+// is revoked (checked on each heartbeat)
+const streamNotifications = async (req, res) => {
+  const userId = req.user?.userId;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const unsubscribe = notificationService.subscribe(userId, (notification) => {
+    send('notification', notification);
+  });
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  const heartbeat = setInterval(async () => {
+    try {
+      const active = await isSessionActive(req.user);
+      if (res.writableEnded) return;
+      if (!active) {
+        send('session-revoked', { error: 'Session has been revoked. Please log in again' });
+        close();
+        res.end();
+        return;
+      }
+    } catch (error) {
+      console.error('Error checking session for stream:', error);
+    }
+    res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  req.on('close', close);
+
+  try {
+    send('unread-count', { unreadCount: await notificationService.countUnread(userId) });
+  } catch (error) {
+    console.error('Error counting notifications for stream:', error);
+  }
+};
+
+module.exports = {
+  getNotifications, getUnreadCount, markAsRead, markAllAsRead,
+  deleteNotification, createStreamTicket, streamNotifications
+};
@@ -1,9 +1,17 @@
 const userServices = require("../Service/userService");
-const auth = require("../middleware/auth");
-const jwt = require("jsonwebtoken");
+const auditService = require("../Service/auditService");
+const sessionService = require("../Service/sessionService");
+const lockoutService = require("../Service/lockoutService");
+const emailService = require("../Service/emailService");
+const feedbackService = require("../Service/feedbackService");
+const privacyService = require("../Service/privacyService");
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
+// Identical responses whether or not the account exists
+const INVALID_CREDENTIALS = "Invalid email or password";
+const REGISTRATION_FAILED = "Unable to register with the provided details";
+const INVALID_RESET_TOKEN = "Invalid or expired reset token";
 
 const login = async (req, res) => {
   try {
@@ -14,46 +22,57 @@ const login = async (req, res) => {
       return res.status(400).json({ error: "Email and password required" });
     }
 
-    // Find user
+    // Find user (still hash-compare when missing so timing doesn't reveal it);
+    // accounts in the trash cannot sign in
     const user = await userServices.checkIfFound(email);
-    if (!user) {
-      return res.status(404).json({ error: "User not found. Please signup" });
+    if (!user || user.deletedAt) {
+      await userServices.verifyPassword(password, null);
+      return res.status(401).json({ error: INVALID_CREDENTIALS });
     }
 
-    // Verify credentials
+    // Verify credentials. A locked account answers exactly like a wrong
+    // password (same status, same hash compare) so lockouts don't reveal
+    // which emails have accounts
     const validPassword = await userServices.verifyPassword(password, user.password);
+    if (lockoutService.isLocked(user)) {
+      return res.status(401).json({ error: INVALID_CREDENTIALS });
+    }
     if (!validPassword) {
-      return res.status(401).json({ error: "Invalid credentials" });
+      await auditService.record({
+        userId: user.id,
+        action: "Failed login attempt",
+        actionType: auditService.AUDIT_ACTIONS.LOGIN_FAILED,
+        targetType: "User",
+        targetId: user.id,
+      }, req);
+
+      await lockoutService.registerFailedLogin(user, req);
+      return res.status(401).json({ error: INVALID_CREDENTIALS });
     }
 
-    // Define allowed admin roles
-    const adminRoles = ["superadmin", "admin", "moderator"];
-    
-    // Assign default role if not provided
-    const userRole = adminRoles.includes(user.role) ? user.role : "user";
-
-    // Generate token
-    const token = auth.generateToken({
-      userId: user.id,
-      email: user.email,
-      role: userRole
-    });
+    await lockoutService.resetFailedLogins(user);
 
-    console.log("Generated Token:", token); // Debugging
+    // Start a session: short-lived access token plus a rotating refresh token
+    const { token, refreshToken } = await sessionService.createSession(user, req);
 
-    if (!token) {
-      return res.status(500).json({ error: "Token generation failed" });
-    }
+    await auditService.record({
+      userId: user.id,
+      action: "User logged in",
+      actionType: auditService.AUDIT_ACTIONS.LOGIN,
+      targetType: "User",
+      targetId: user.id,
+    }, req);
 
     // Send token to frontend
     res.status(200).json({
       message: "Login successful",
       token,
+      refreshToken,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
-        role: userRole
+        role: user.role
       }
     });
 
@@ -66,7 +85,7 @@ const register = async (req, res) => {
   try {
     console.log("Register endpoint hit");  // Log to check if this is being triggered
     
-    const { email, name, password, role } = req.body;
+    const { email, name, password } = req.body;
 
     if (!email || !name || !password) {
       return res.status(400).json({ error: "All fields are required" });
@@ -74,17 +93,25 @@ const register = async (req, res) => {
 
     const existingUser = await userServices.checkIfFound(email);
     if (existingUser) {
-      return res.status(409).json({ error: "User already exists" });
+      return res.status(400).json({ error: REGISTRATION_FAILED });
     }
 
-    const userRole = ["superadmin", "admin", "moderator"].includes(role) ? role : "user";
-
-    const newUser = await userServices.registerUser(email, name, password, userRole);
-    const token = auth.generateToken({
+    // Self-registration always gets the default role; admins assign others
+    const newUser = await userServices.registerUser(email, name, password);
+    await auditService.record({
       userId: newUser.id,
-      email: newUser.email,
-      role: userRole
-    });
+      action: "User registered",
+      actionType: auditService.AUDIT_ACTIONS.REGISTER,
+      targetType: "User",
+      targetId: newUser.id,
+      after: { email: newUser.email, name: newUser.name, role: newUser.role },
+    }, req);
+    const { token, refreshToken } = await sessionService.createSession(newUser, req);
+
+    await emailService.queueEmail("welcome", newUser.email, {
+      name: newUser.name,
+      loginUrl: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/login` : undefined
+    }).catch(error => console.error("Error queueing welcome email:", error.message));
 
     res.status(201).json({
       message: "Registration successful",
@@ -92,14 +119,15 @@ const register = async (req, res) => {
         id: newUser.id,
         email: newUser.email,
         name: newUser.name,
-        role: userRole
+        role: newUser.role
       },
-      token
+      token,
+      refreshToken
     });
 
   } catch (error) {
     console.error("Registration error:", error);
-    res.status(500).json({ error: error.message || "Registration failed" });
+    res.status(500).json({ error: "Registration failed" });
   }
 };
 
@@ -107,10 +135,23 @@ const register = async (req, res) => {
 const forgotPassword = async (req, res) => {
   try {
     const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
     const result = await userServices.initiatePasswordReset(email);
+    const user = await userServices.checkIfFound(email);
+    await auditService.record({
+      userId: user?.id,
+      action: "Password reset requested",
+      actionType: auditService.AUDIT_ACTIONS.PASSWORD_RESET_REQUEST,
+      targetType: "User",
+      targetId: user?.id,
+    }, req);
     res.status(200).json(result);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    console.error("Forgot password error:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 };
 
@@ -119,34 +160,32 @@ const resetPassword = async (req, res) => {
     const { token, email, newPassword } = req.body;
     
     // Verify token first
-    await userServices.verifyPasswordResetToken(token, email);
-    
+    try {
+      await userServices.verifyPasswordResetToken(token, email);
+    } catch (error) {
+      return res.status(400).json({ error: INVALID_RESET_TOKEN });
+    }
+
     // Update password
     const result = await userServices.updateUserPassword(email, newPassword);
+    const user = await userServices.checkIfFound(email);
+    await auditService.record({
+      userId: user?.id,
+      action: "Password reset completed",
+      actionType: auditService.AUDIT_ACTIONS.PASSWORD_RESET,
+      targetType: "User",
+      targetId: user?.id,
+    }, req);
     res.status(200).json(result);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 };
 const getUser = async (req, res) => {
-  const authHeader = req.headers.authorization;
-
-  // Step 1: Check for the Bearer token
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ message: "No token provided" });
-  }
-
-  const token = authHeader.split(" ")[1];
-  console.log("Token received:", token); // Log the token for debugging purposes
-
   try {
-    // Step 2: Verify the token and decode it
-    const decoded = jwt.verify(token, process.env.TOKEN); // ✅ match here too
-
-    console.log("Decoded token:", decoded); 
-    // Step 3: Fetch the user's name (or other data) from the database
+    // Fetch the user's name (or other data) from the database
     const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },  // Assuming `userId` is in the token
+      where: { id: req.user.userId },
       select: { name: true }  // Select only the name field
     });
 
@@ -154,48 +193,165 @@ const getUser = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Step 4: Send the username back to the client
+    // Send the username back to the client
     res.json({ username: user.name });
 
   } catch (err) {
-    console.error("Error decoding token:", err);
-    return res.status(401).json({ message: "Invalid token" });
+    console.error("Error fetching user:", err);
+    return res.status(500).json({ message: "Internal server error" });
   }
 };
 
 const submitFeedback = async (req, res) => {
-  const authHeader = req.headers.authorization;
+  try {
+    const feedback = await feedbackService.createFeedback(req.user, req.body);
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "Unauthorized: No token provided" });
-  }
+    res.status(201).json({
+      message: "Feedback submitted successfully",
+      feedback,
+    });
 
-  const token = authHeader.split(" ")[1];
+  } catch (err) {
+    if (err.message === "Prediction not found") {
+      return res.status(404).json({ error: err.message });
+    }
+    if (err.message.includes("required") || err.message.includes("must be") || err.message.startsWith("Invalid")) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Feedback submission error:", err);
+    return res.status(500).json({ error: "Failed to submit feedback" });
+  }
+};
 
+// Feedback the user submitted, with the replies they received
+const getMyFeedback = async (req, res) => {
   try {
-    const decoded = jwt.verify(token, process.env.TOKEN); // Verify token
+    const feedbacks = await feedbackService.listOwnFeedback(req.user.userId);
+    res.json(feedbacks);
+  } catch (err) {
+    console.error("Error fetching own feedback:", err);
+    res.status(500).json({ error: "Failed to fetch feedback" });
+  }
+};
 
-    const { message } = req.body;
-    if (!message) {
-      return res.status(400).json({ error: "Feedback message is required" });
+// Download everything stored about the signed-in user, as JSON
+const exportMyData = async (req, res) => {
+  try {
+    const data = await privacyService.exportUserData(req.user.userId);
+    if (!data) {
+      return res.status(404).json({ error: "User not found" });
     }
 
-    // Create feedback in DB
-    const feedback = await prisma.feedback.create({
-      data: {
-        message,
-        userId: decoded.userId, // use userId from token payload
-      },
-    });
+    await auditService.record({
+      userId: req.user.userId,
+      action: "Exported own personal data",
+      actionType: auditService.AUDIT_ACTIONS.EXPORT,
+      targetType: "User",
+      targetId: req.user.userId,
+    }, req);
+
+    res.status(200)
+      .setHeader("Content-Type", "application/json")
+      .setHeader("Content-Disposition", `attachment; filename="my-data-${new Date().toISOString().slice(0, 10)}.json"`)
+      .send(JSON.stringify(data, null, 2));
+  } catch (err) {
+    console.error("Personal data export error:", err);
+    res.status(500).json({ error: "Failed to export your data" });
+  }
+};
 
-    res.status(201).json({
-      message: "Feedback submitted successfully",
-      feedback,
+// Permanently erase the signed-in user's account; needs the password and
+// the confirmation phrase
+const DELETE_ACCOUNT_CONFIRMATION = "DELETE MY ACCOUNT";
+
+const deleteMyAccount = async (req, res) => {
+  const { password, confirmation } = req.body || {};
+  if (confirmation !== DELETE_ACCOUNT_CONFIRMATION) {
+    return res.status(400).json({ error: `Type "${DELETE_ACCOUNT_CONFIRMATION}" as confirmation to erase your account` });
+  }
+
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.userId },
+      select: { id: true, role: true, password: true },
     });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    if (!(await userServices.verifyPassword(password, user.password))) {
+      return res.status(401).json({ error: "Incorrect password" });
+    }
+
+    // Recorded first: the entry outlives the account, with its user set null
+    await auditService.record({
+      userId: user.id,
+      action: "User requested erasure of their own account",
+      actionType: auditService.AUDIT_ACTIONS.USER_DELETE,
+      targetType: "User",
+      targetId: user.id,
+    }, req);
 
+    await privacyService.eraseUser(user.id);
+
+    res.status(200).json({ message: "Your account and personal data have been erased" });
   } catch (err) {
-    console.error("Feedback submission error:", err);
-    return res.status(401).json({ error: "Invalid token or user unauthorized" });
+    if (err.message.startsWith("Cannot")) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error("Account erasure error:", err);
+    res.status(500).json({ error: "Failed to erase your account" });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+const refreshToken = async (req, res) => {
+  const { refreshToken: presentedToken } = req.body;
+  if (!presentedToken) {
+    return res.status(400).json({ error: "Refresh token is required" });
+  }
+
+  try {
+    const tokens = await sessionService.rotateRefreshToken(presentedToken, req);
+    res.status(200).json({ token: tokens.token, refreshToken: tokens.refreshToken });
+  } catch (error) {
+    res.status(401).json({ error: error.message });
+  }
+};
+
+// Revoke the session of the presented access token
+const logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sid);
+    await auditService.record({
+      userId: req.user.userId,
+      action: "User logged out",
+      actionType: auditService.AUDIT_ACTIONS.LOGOUT,
+      targetType: "Session",
+      targetId: req.user.sid,
+    }, req);
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+};
+
+// Revoke every session of the user, on all devices
+const logoutAll = async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.userId);
+    await auditService.record({
+      userId: req.user.userId,
+      action: "User logged out of all sessions",
+      actionType: auditService.AUDIT_ACTIONS.LOGOUT,
+      targetType: "User",
+      targetId: req.user.userId,
+      details: { revokedSessions: revoked },
+    }, req);
+    res.status(200).json({ message: "Logged out of all sessions", revokedSessions: revoked });
+  } catch (error) {
+    console.error("Logout-all error:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 };
 
@@ -205,5 +361,11 @@ module.exports = {
   forgotPassword,
   resetPassword,
   getUser,
-  submitFeedback // ✅ ADD THIS
+  submitFeedback, // ✅ ADD THIS
+  getMyFeedback,
+  exportMyData,
+  deleteMyAccount,
+  refreshToken,
+  logout,
+  logoutAll
 };
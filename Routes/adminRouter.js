@@ -2,28 +2,91 @@ const express = require('express');
 const router = express.Router();
 const { 
     getAllUsers, deleteUser, updateUserRole, fetchSystemStats, fetchAuditLogs, 
-    getAllPatients, deletePatient, exportCSV, exportExcel , fetchPredictionStats , getAllFeedback
+    getAllPatients, deletePatient, exportPatients, fetchPredictionStats , getAllFeedback, getModelPerformance, getPredictionAnalytics,
+    getPredictionStrategy, updatePredictionStrategy,
+    getLockouts, unlockUser, getRoles,
+    getRiskThresholds, getRiskThresholdVersion, createRiskThresholdDraft, updateRiskThresholdDraft,
+    activateRiskThresholdVersion, previewRiskThresholdVersion,
+    getRecommendationRules, createRecommendationRule, updateRecommendationRule,
+    getFeedbackStats, getFeedbackById, updateFeedbackStatus, replyToFeedback,
+    getDigestSchedules, createDigestSchedule, updateDigestSchedule, deleteDigestSchedule,
+    runDigestNow, getDigestRuns,
+    getTrash, restoreUser, restorePatient, purgeUser, purgePatient, getTrashRetention, updateTrashRetention
 } = require('../Controller/adminController');
-const { authenticate, isAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../middleware/permissions');
+const { auditAction } = require('../middleware/audit');
+const { AUDIT_ACTIONS } = require('../Service/auditService');
+
+const auditExport = auditAction(AUDIT_ACTIONS.EXPORT, (req) => ({
+  action: `Exported patients as ${req.params.format}`,
+  targetType: 'Patient',
+  details: { format: req.params.format, filters: req.query },
+}));
 
 // 🟢 Admin User Management Routes
-router.get('/users', authenticate, isAdmin, getAllUsers);
-router.delete('/users/:id', authenticate, isAdmin, deleteUser);
-router.patch('/users/:id/role', authenticate, isAdmin, updateUserRole);
+router.get('/users', authenticate, requirePermission(PERMISSIONS.USERS_READ), getAllUsers);
+router.delete('/users/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), deleteUser);
+router.patch('/users/:id/role', authenticate, requirePermission(PERMISSIONS.ROLES_ASSIGN), updateUserRole);
+router.post('/users/:id/unlock', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), unlockUser);
+router.get('/roles', authenticate, requirePermission(PERMISSIONS.USERS_READ), getRoles);
+router.get('/lockouts', authenticate, requirePermission(PERMISSIONS.USERS_READ), getLockouts);
 
 // 🟢 System Stats & Audit Logs
-router.get('/system-stats', authenticate, isAdmin, fetchSystemStats);
-router.get('/audit-logs', authenticate, isAdmin, fetchAuditLogs);
+router.get('/system-stats', authenticate, requirePermission(PERMISSIONS.STATS_READ), fetchSystemStats);
+router.get('/audit-logs', authenticate, requirePermission(PERMISSIONS.AUDIT_READ), fetchAuditLogs);
 
 // 🟢 Patient Management Routes
-router.get('/getAllPatientsForAdmin', authenticate, isAdmin, getAllPatients);
-router.delete("/deletePatient/:id", authenticate, isAdmin, deletePatient);
+router.get('/getAllPatientsForAdmin', authenticate, requirePermission(PERMISSIONS.PATIENTS_READ_ANY), getAllPatients);
+router.delete("/deletePatient/:id", authenticate, requirePermission(PERMISSIONS.PATIENTS_DELETE_ANY), deletePatient);
 
-// 🟢 Export Reports (CSV & Excel)
-router.get('/export/csv', authenticate, isAdmin, exportCSV);
-router.get('/export/excel', authenticate, isAdmin, exportExcel);
+// 🟢 Export Reports (CSV, TSV, JSON, NDJSON & Excel)
+router.get('/export/:format', authenticate, requirePermission(PERMISSIONS.EXPORTS_RUN), auditExport, exportPatients);
 // 🟢 Fetch chart data
-router.get('/prediction-stats', authenticate, isAdmin, fetchPredictionStats);
-router.get('/feedbacks',authenticate, isAdmin,getAllFeedback);
+router.get('/prediction-stats', authenticate, requirePermission(PERMISSIONS.STATS_READ), fetchPredictionStats);
+router.get('/analytics/predictions', authenticate, requirePermission(PERMISSIONS.STATS_READ), getPredictionAnalytics);
+router.get('/model-performance', authenticate, requirePermission(PERMISSIONS.STATS_READ), getModelPerformance);
+
+// 🟢 Feedback triage
+router.get('/feedbacks', authenticate, requirePermission(PERMISSIONS.FEEDBACK_READ), getAllFeedback);
+router.get('/feedbacks/stats', authenticate, requirePermission(PERMISSIONS.FEEDBACK_READ), getFeedbackStats);
+router.get('/feedbacks/:id', authenticate, requirePermission(PERMISSIONS.FEEDBACK_READ), getFeedbackById);
+router.patch('/feedbacks/:id/status', authenticate, requirePermission(PERMISSIONS.FEEDBACK_MANAGE), updateFeedbackStatus);
+router.post('/feedbacks/:id/replies', authenticate, requirePermission(PERMISSIONS.FEEDBACK_MANAGE), replyToFeedback);
+
+// 🟢 Prediction ensemble strategy
+router.get('/prediction-strategy', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getPredictionStrategy);
+router.put('/prediction-strategy', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), updatePredictionStrategy);
+
+// 🟢 Versioned risk thresholds and recommendations
+router.get('/risk-thresholds', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getRiskThresholds);
+router.post('/risk-thresholds', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), createRiskThresholdDraft);
+router.get('/risk-thresholds/:id', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getRiskThresholdVersion);
+router.put('/risk-thresholds/:id', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), updateRiskThresholdDraft);
+router.post('/risk-thresholds/:id/activate', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), activateRiskThresholdVersion);
+router.get('/risk-thresholds/:id/preview', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), previewRiskThresholdVersion);
+
+// 🟢 Personalised recommendation rules
+router.get('/recommendation-rules', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getRecommendationRules);
+router.post('/recommendation-rules', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), createRecommendationRule);
+router.put('/recommendation-rules/:id', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), updateRecommendationRule);
+
+// 🟢 Scheduled digest emails
+router.get('/digests', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getDigestSchedules);
+router.post('/digests', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), createDigestSchedule);
+router.put('/digests/:id', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), updateDigestSchedule);
+router.delete('/digests/:id', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), deleteDigestSchedule);
+router.post('/digests/:id/run', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), runDigestNow);
+router.get('/digests/:id/runs', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getDigestRuns);
+
+// 🟢 Trash: deleted users and patients, restorable until purged
+router.get('/trash/users', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), getTrash('users'));
+router.post('/trash/users/:id/restore', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), restoreUser);
+router.delete('/trash/users/:id', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE), purgeUser);
+router.get('/trash/patients', authenticate, requirePermission(PERMISSIONS.PATIENTS_DELETE_ANY), getTrash('patients'));
+router.post('/trash/patients/:id/restore', authenticate, requirePermission(PERMISSIONS.PATIENTS_DELETE_ANY), restorePatient);
+router.delete('/trash/patients/:id', authenticate, requirePermission(PERMISSIONS.PATIENTS_DELETE_ANY), purgePatient);
+router.get('/trash/retention', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), getTrashRetention);
+router.put('/trash/retention', authenticate, requirePermission(PERMISSIONS.SETTINGS_MANAGE), updateTrashRetention);
 
 module.exports = router;
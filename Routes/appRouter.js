@@ -1,11 +1,37 @@
 const express = require("express");
+const multer = require("multer");
 const appController = require("../Controller/appController");
+const batchController = require("../Controller/batchController");
 const router = express.Router();
-const { authenticate } = require("../middleware/auth");
+const { authenticate, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../middleware/permissions");
+
+// Batch uploads are kept in memory; rows are persisted before processing
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+const uploadBatchFile = (req, res, next) =>
+  upload.single("file")(req, res, (err) => (err ? res.status(400).json({ error: err.message }) : next()));
 
 // Routes with authentication and role-based access
-router.post("/predict", authenticate, appController.predict);
-router.get("/getAllPatients", authenticate, appController.getAllPatients);
-router.get("/getPatientDetails/:id", authenticate, appController.getPatientDetails); // New route
+const canPredict = requirePermission(PERMISSIONS.PREDICTIONS_RUN);
+const canReadPatients = requirePermission(PERMISSIONS.PATIENTS_READ_OWN, PERMISSIONS.PATIENTS_READ_ANY);
+
+router.post("/predict", authenticate, canPredict, appController.predict);
+router.post("/predict/batch", authenticate, canPredict, uploadBatchFile, batchController.createBatch);
+router.get("/predict/batch", authenticate, canPredict, batchController.getBatches);
+router.get("/predict/batch/:id", authenticate, canPredict, batchController.getBatch);
+router.get("/predict/batch/:id/results", authenticate, canPredict, batchController.downloadBatchResults);
+router.get("/getAllPatients", authenticate, canReadPatients, appController.getAllPatients);
+router.get("/getPatientDetails/:id", authenticate, canReadPatients, appController.getPatientDetails); // New route
+router.patch("/patients/:id", authenticate, requirePermission(PERMISSIONS.PATIENTS_WRITE_OWN, PERMISSIONS.PATIENTS_WRITE_ANY), appController.updatePatient);
+router.put("/patients/:id/diagnosis", authenticate, requirePermission(PERMISSIONS.PATIENTS_WRITE_OWN, PERMISSIONS.PATIENTS_WRITE_ANY), appController.recordDiagnosis);
+router.delete("/patients/:id", authenticate, requirePermission(PERMISSIONS.PATIENTS_DELETE_OWN, PERMISSIONS.PATIENTS_DELETE_ANY), appController.deletePatient);
+router.get("/patients/:id/assessments", authenticate, canReadPatients, appController.getPatientAssessments);
+router.get("/patients/:id/trends", authenticate, canReadPatients, appController.getPatientTrends);
+router.get("/patients/:id/report", authenticate, canReadPatients, appController.getPatientReport);
+
+// FHIR R4 exchange; partners send bundles as application/fhir+json
+const parseFhirJson = express.json({ type: ["application/json", "application/fhir+json"], limit: "5mb" });
+router.get("/fhir/Patient/:id", authenticate, canReadPatients, appController.exportPatientFhir);
+router.post("/fhir/Bundle", authenticate, canPredict, parseFhirJson, appController.importFhirBundle);
 
 module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getNotifications, getUnreadCount, markAsRead, markAllAsRead,
+    deleteNotification, createStreamTicket, streamNotifications
+} = require('../Controller/notificationController');
+const { authenticate, isSessionActive } = require('../middleware/auth');
+const notificationService = require('../Service/notificationService');
+
+// EventSource cannot send headers, so the stream also accepts a single-use
+// ?ticket= from POST /stream-ticket
+const authenticateStream = async (req, res, next) => {
+  if (req.headers.authorization) return authenticate(req, res, next);
+
+  const user = notificationService.redeemStreamTicket(req.query.ticket);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+  }
+  try {
+    if (!(await isSessionActive(user))) {
+      return res.status(401).json({ error: 'Session has been revoked. Please log in again' });
+    }
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  req.user = user;
+  next();
+};
+
+router.get('/', authenticate, getNotifications);
+router.get('/unread-count', authenticate, getUnreadCount);
+router.post('/stream-ticket', authenticate, createStreamTicket);
+router.get('/stream', authenticateStream, streamNotifications);
+router.patch('/read-all', authenticate, markAllAsRead);
+router.patch('/:id/read', authenticate, markAsRead);
+router.delete('/:id', authenticate, deleteNotification);
+
+module.exports = router;
@@ -1,16 +1,31 @@
 // router.js
 const express = require('express'); 
 const userController = require('../Controller/userController'); 
+const { authenticate } = require('../middleware/auth');
+const {
+  loginLimiter, loginAccountLimiter, registerLimiter,
+  passwordResetLimiter, passwordResetAccountLimiter
+} = require('../middleware/rateLimit');
 const router = express.Router(); 
 
 // Define routes
-router.get("/user", userController.getUser);  // Route calling the getUser controller function
+router.get("/user", authenticate, userController.getUser);  // Route calling the getUser controller function
 
 // Authentication routes
-router.post("/login", userController.login);
-router.post("/register", userController.register);  
-router.post('/forgot-password', userController.forgotPassword);
-router.post('/reset-password', userController.resetPassword);
-router.post("/feedback", userController.submitFeedback);
+router.post("/login", loginLimiter, loginAccountLimiter, userController.login);
+router.post("/register", registerLimiter, userController.register);  
+router.post('/forgot-password', passwordResetLimiter, passwordResetAccountLimiter, userController.forgotPassword);
+router.post('/reset-password', passwordResetLimiter, passwordResetAccountLimiter, userController.resetPassword);
+router.post("/feedback", authenticate, userController.submitFeedback);
+router.get("/feedback", authenticate, userController.getMyFeedback);
+
+// Personal data: download everything stored about you, or erase your account
+router.get("/me/data", authenticate, userController.exportMyData);
+router.delete("/me", authenticate, userController.deleteMyAccount);
+
+// Session routes
+router.post("/refresh", userController.refreshToken);
+router.post("/logout", authenticate, userController.logout);
+router.post("/logout-all", authenticate, userController.logoutAll);
 
 module.exports = router;
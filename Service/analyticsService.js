@@ -0,0 +1,162 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Every prediction creates an Assessment, so analytics count assessments
+// (re-assessments included) rather than patients
+
+const GRANULARITIES = ['hour', 'day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+const DEFAULT_RANGE_DAYS = 30;
+
+// Breakdown dimensions, each a SQL expression over "Assessment" a
+const DIMENSIONS = {
+  riskLevel: Prisma.sql`a."riskLevel"`,
+  prediction: Prisma.sql`CASE WHEN a."prediction" THEN 'diabetic' ELSE 'non-diabetic' END`,
+  ageBand: Prisma.sql`CASE
+    WHEN a."Age" < 30 THEN '<30'
+    WHEN a."Age" < 40 THEN '30-39'
+    WHEN a."Age" < 50 THEN '40-49'
+    WHEN a."Age" < 60 THEN '50-59'
+    WHEN a."Age" < 70 THEN '60-69'
+    ELSE '70+' END`,
+  // WHO adult BMI categories
+  bmiCategory: Prisma.sql`CASE
+    WHEN a."BMI" < 18.5 THEN 'underweight'
+    WHEN a."BMI" < 25 THEN 'normal'
+    WHEN a."BMI" < 30 THEN 'overweight'
+    ELSE 'obese' END`,
+  clinician: Prisma.sql`a."userId"`,
+};
+
+/**
+ * Parses the dateFrom/dateTo query parameters. Without dateFrom the range
+ * starts `defaultDays` before dateTo (or now).
+ * @param {Object} query - Express `req.query`.
+ * @param {number} [defaultDays] - Default range length.
+ * @returns {Object} - `{ dateFrom, dateTo }`.
+ */
+function parseRange({ dateFrom, dateTo } = {}, defaultDays = DEFAULT_RANGE_DAYS) {
+  const to = dateTo ? new Date(String(dateTo)) : new Date();
+  if (isNaN(to.getTime())) throw new Error('Invalid end date format');
+
+  const from = dateFrom ? new Date(String(dateFrom)) : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+  if (isNaN(from.getTime())) throw new Error('Invalid start date format');
+  if (from > to) throw new Error('dateFrom must be before dateTo');
+
+  return { dateFrom: from, dateTo: to };
+}
+
+/**
+ * Parses analytics query parameters.
+ * @param {Object} query - `{ granularity, dateFrom, dateTo, by, clinician }`;
+ *   `by` is a comma-separated list of DIMENSIONS.
+ * @returns {Object} - `{ granularity, dateFrom, dateTo, dimensions, clinician }`.
+ */
+function parseAnalyticsQuery(query = {}) {
+  const granularity = query.granularity || 'day';
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+  }
+
+  const dimensions = query.by ? String(query.by).split(',').map(dimension => dimension.trim()) : [];
+  const invalid = dimensions.filter(dimension => !DIMENSIONS[dimension]);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid breakdown: ${invalid.join(', ')} (use ${Object.keys(DIMENSIONS).join(', ')})`);
+  }
+
+  return {
+    granularity,
+    ...parseRange(query),
+    dimensions: [...new Set(dimensions)],
+    clinician: query.clinician ? String(query.clinician) : null,
+  };
+}
+
+// Timestamps are stored without time zone, in UTC
+const utc = (date) => Prisma.sql`(${date.toISOString()}::timestamptz AT TIME ZONE 'UTC')`;
+
+// Assessments of patients in the trash are left out
+const whereClause = ({ dateFrom, dateTo, clinician }) => Prisma.sql`
+  WHERE a."createdAt" >= ${utc(dateFrom)} AND a."createdAt" <= ${utc(dateTo)}
+  AND NOT EXISTS (SELECT 1 FROM "Patient" p WHERE p."Id" = a."patientId" AND p."deletedAt" IS NOT NULL)
+  ${clinician ? Prisma.sql`AND a."userId" = ${clinician}` : Prisma.empty}`;
+
+// Every bucket of the range, so empty periods show as zero
+async function listBuckets({ granularity, dateFrom, dateTo }) {
+  const rows = await prisma.$queryRaw`
+    SELECT generate_series(
+      date_trunc(${granularity}, ${utc(dateFrom)}),
+      date_trunc(${granularity}, ${utc(dateTo)}),
+      ${`1 ${granularity}`}::interval
+    ) AS bucket
+    LIMIT ${MAX_BUCKETS + 1}`;
+  if (rows.length > MAX_BUCKETS) {
+    throw new Error(`Too many ${granularity} buckets in the range (max ${MAX_BUCKETS}); use a coarser granularity`);
+  }
+  return rows.map(row => row.bucket.toISOString());
+}
+
+// Rows of { bucket, key?, count }, key being the dimension value
+async function countByBucket(options, dimension) {
+  const key = dimension ? Prisma.sql`, ${DIMENSIONS[dimension]} AS key` : Prisma.empty;
+  return prisma.$queryRaw`
+    SELECT date_trunc(${options.granularity}, a."createdAt") AS bucket${key}, COUNT(*)::int AS count
+    FROM "Assessment" a
+    ${whereClause(options)}
+    GROUP BY ${dimension ? Prisma.sql`1, 2` : Prisma.sql`1`}
+    ORDER BY 1`;
+}
+
+async function clinicianNames(ids) {
+  if (ids.length === 0) return {};
+  const users = await prisma.user.findMany({ where: { id: { in: ids } }, select: { id: true, name: true } });
+  return Object.fromEntries(users.map(user => [user.id, user.name]));
+}
+
+/**
+ * Counts predictions per time bucket, optionally broken down by dimensions.
+ * Grouping happens in the database (date_trunc, in UTC).
+ * @param {Object} options - From parseAnalyticsQuery.
+ * @returns {Promise<Object>} - `{ granularity, dateFrom, dateTo, breakdowns,
+ *   buckets: [{ bucket, total, [dimension]: { [key]: count } }], totals,
+ *   clinicians }`; `clinicians` maps ids to names when broken down by clinician.
+ */
+async function predictionSeries(options) {
+  const { granularity, dateFrom, dateTo, dimensions } = options;
+  const bucketKeys = await listBuckets(options);
+
+  const series = new Map(bucketKeys.map(bucket => [bucket, { bucket, total: 0 }]));
+  const totals = { total: 0 };
+  dimensions.forEach(dimension => {
+    totals[dimension] = {};
+    series.forEach(entry => { entry[dimension] = {}; });
+  });
+
+  (await countByBucket(options)).forEach(row => {
+    const entry = series.get(row.bucket.toISOString());
+    if (entry) entry.total += row.count;
+    totals.total += row.count;
+  });
+
+  for (const dimension of dimensions) {
+    (await countByBucket(options, dimension)).forEach(row => {
+      const key = row.key === null ? 'unknown' : String(row.key);
+      const entry = series.get(row.bucket.toISOString());
+      if (entry) entry[dimension][key] = (entry[dimension][key] || 0) + row.count;
+      totals[dimension][key] = (totals[dimension][key] || 0) + row.count;
+    });
+  }
+
+  return {
+    granularity,
+    dateFrom,
+    dateTo,
+    breakdowns: dimensions,
+    buckets: [...series.values()],
+    totals,
+    ...(dimensions.includes('clinician') ? { clinicians: await clinicianNames(Object.keys(totals.clinician)) } : {}),
+  };
+}
+
+module.exports = { GRANULARITIES, DIMENSIONS, parseRange, parseAnalyticsQuery, predictionSeries };
@@ -1,4 +1,4 @@
-const { PrismaClient } = require("@prisma/client");
+const { PrismaClient, Prisma } = require("@prisma/client");
 const prisma = new PrismaClient();
 const axios = require('axios');
 
@@ -41,12 +41,12 @@ async function findUserByEmail(email) {
 }
 
 /**
- * Retrieves all patients from the database.
+ * Retrieves all patients from the database, except those in the trash.
  * @returns {Promise<Array>} - List of all patients.
  */
 async function getAllPatients() {
   try {
-    return await prisma.patient.findMany();
+    return await prisma.patient.findMany({ where: { deletedAt: null } });
   } catch (error) {
     console.error("❌ Error retrieving patients:", error.message);
     throw new Error("Failed to fetch patients.");
@@ -54,59 +54,173 @@ async function getAllPatients() {
 }
 
 /**
- * Creates a new patient record.
- * @param {Object} patientData - Patient's data.
- * @returns {Promise<Object>} - The created patient record.
+ * Builds the clinical values and prediction outcome shared by an Assessment
+ * and the Patient's latest-state snapshot.
+ * @param {Object} patientData - Parsed patient data with prediction results.
+ * @returns {Object} - Prisma data for the shared columns.
  */
-// In your appService.js or controller
-const createPatient = async (patientData) => {
+const buildAssessmentData = (patientData) => ({
+  Age: patientData.Age,
+  BMI: patientData.BMI,
+  // Unknown measurements stay NULL instead of being stored as zero
+  Insulin: patientData.Insulin ?? null,
+  Pregnancies: patientData.Pregnancies ?? null,
+  Glucose: patientData.Glucose,
+  BloodPressure: patientData.BloodPressure ?? null,
+  SkinThickness: patientData.SkinThickness ?? null,
+  DiabetesPedigreeFunction: patientData.DiabetesPedigreeFunction ?? null,
+  prediction: patientData.prediction || false,
+  precentage: patientData.precentage || 0,
+  riskLevel: patientData.riskLevel || 'Low',
+  recommendation: patientData.recommendation || 'No recommendation',
+  recommendations: patientData.recommendations || [],
+  engine: patientData.engine || 'remote',
+  engineFallbackReason: patientData.engineFallbackReason || null,
+  strategy: patientData.strategy || 'max',
+  imputedFields: patientData.imputedFields || [],
+  // Cleared on re-assessment when no explanation could be computed
+  explanation: patientData.explanation || Prisma.DbNull,
+  thresholdVersionId: patientData.thresholdVersionId ?? null,
+});
+
+const buildPredictionResults = (patientData) => ({
+  create: (patientData.predictionResults || []).map(({ model, prediction, precentage }) => ({
+    model, prediction, precentage
+  }))
+});
+
+const validateAssessmentInput = (patientData) => {
   if (!patientData || !patientData.userId) {
     throw new Error("Patient data and userId are required");
   }
 
   // Ensure required fields are present
-  const requiredFields = ['name', 'Age', 'Glucose'];
+  const requiredFields = ['Age', 'Glucose', 'BMI'];
   for (const field of requiredFields) {
     if (patientData[field] === undefined) {
       throw new Error(`Missing required field: ${field}`);
     }
   }
+};
+
+/**
+ * Creates a new patient together with their first assessment.
+ * @param {Object} patientData - Patient's data.
+ * @param {Function} [onSaved] - `(tx, { patient, assessment })`, run in the
+ *   same transaction, e.g. to record the work as done.
+ * @returns {Promise<Object>} - `{ patient, assessment }`.
+ */
+const createPatient = async (patientData, onSaved) => {
+  validateAssessmentInput(patientData);
 
   try {
-    return await prisma.patient.create({
-      data: {
-        name: patientData.name || 'Unknown Patient', // Default value
-        Age: patientData.Age,
-        BMI: patientData.BMI || 0, // Default value
-        Insulin: patientData.Insulin || 0,
-        Pregnancies: patientData.Pregnancies || 0,
-        Glucose: patientData.Glucose,
-        BloodPressure: patientData.BloodPressure || 0,
-        SkinThickness: patientData.SkinThickness || 0,
-        DiabetesPedigreeFunction: patientData.DiabetesPedigreeFunction || 0,
-        prediction: patientData.prediction || false,
-        precentage: patientData.precentage || 0,
-        riskLevel: patientData.riskLevel || 'Low',
-        recommendation: patientData.recommendation || 'No recommendation',
-        userId: patientData.userId
-      }
+    return await prisma.$transaction(async (tx) => {
+      const patient = await tx.patient.create({
+        data: {
+          name: patientData.name || 'Unknown Patient', // Default value
+          ...buildAssessmentData(patientData),
+          userId: patientData.userId,
+          assessments: {
+            create: {
+              ...buildAssessmentData(patientData),
+              userId: patientData.userId,
+              predictionResults: buildPredictionResults(patientData)
+            }
+          }
+        },
+        include: { assessments: { include: { predictionResults: true } } }
+      });
+
+      const { assessments: [assessment], ...patientRecord } = patient;
+      const saved = { patient: patientRecord, assessment };
+      if (onSaved) await onSaved(tx, saved);
+      return saved;
     });
   } catch (error) {
     console.error('Error creating patient:', {
       error: error.message,
       stack: error.stack,
-      patientData: sanitizePatientData(patientData) // Remove sensitive info
+      userId: patientData.userId
     });
     throw new Error("Failed to create patient record");
   }
 };
 
+/**
+ * Records a new assessment for an existing patient and refreshes the
+ * patient's latest-state snapshot.
+ * @param {number} patientId - The patient's Id.
+ * @param {Object} patientData - Parsed patient data with prediction results.
+ * @param {boolean} [rename] - Also store `patientData.name` as the patient's name.
+ * @returns {Promise<Object>} - `{ patient, assessment }`.
+ */
+const addAssessment = async (patientId, patientData, rename = false) => {
+  validateAssessmentInput(patientData);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const assessment = await tx.assessment.create({
+        data: {
+          ...buildAssessmentData(patientData),
+          patientId,
+          userId: patientData.userId,
+          predictionResults: buildPredictionResults(patientData)
+        },
+        include: { predictionResults: true }
+      });
+
+      const patient = await tx.patient.update({
+        where: { Id: patientId },
+        data: { ...buildAssessmentData(patientData), ...(rename ? { name: patientData.name } : {}) }
+      });
+
+      return { patient, assessment };
+    });
+  } catch (error) {
+    console.error('Error adding assessment:', {
+      error: error.message,
+      stack: error.stack,
+      patientId
+    });
+    throw new Error("Failed to record assessment");
+  }
+};
+
+/**
+ * Renames a patient. Clinical values only change through a new assessment,
+ * so every stored prediction matches the values it was made from.
+ * @param {number} patientId - The patient's Id.
+ * @param {string} name - The new name.
+ * @returns {Promise<Object>} - The updated patient.
+ */
+const renamePatient = async (patientId, name) => {
+  return prisma.patient.update({ where: { Id: patientId }, data: { name } });
+};
+
+/**
+ * Deletes a patient together with their notifications, assessments and
+ * per-model prediction results.
+ * @param {number} patientId - The patient's Id.
+ */
+const deletePatient = async (patientId) => {
+  await prisma.$transaction([
+    prisma.notification.deleteMany({ where: { patientId } }),
+    prisma.predictionResult.deleteMany({ where: { assessment: { patientId } } }),
+    prisma.assessment.deleteMany({ where: { patientId } }),
+    prisma.patient.delete({ where: { Id: patientId } }),
+  ]);
+};
+
+const PYTHON_SERVICE_URL = process.env.PREDICTION_SERVICE_URL || 'https://phyton-service-1.onrender.com/predict';
+const PYTHON_SERVICE_TIMEOUT = parseInt(process.env.PREDICTION_SERVICE_TIMEOUT, 10) || 5000;
+
 /**
  * Calls the Python Flask API to predict diabetes.
  * @param {Object} patientData - The patient's health data.
+ * @param {Object} [options] - `{ signal }`: AbortSignal that cancels the request.
  * @returns {Promise<Object>} - The prediction result from the Flask API.
  */
-async function callPythonService(patientData) {
+async function callPythonService(patientData, { signal } = {}) {
   if (!patientData) {
     throw new Error("Patient data is required.");
   }
@@ -125,14 +239,18 @@ async function callPythonService(patientData) {
   try {
     console.log("📤 Sending data to Python API:", formattedData);
 
-    const response = await axios.post('https://phyton-service-1.onrender.com/predict', formattedData, {
+    const response = await axios.post(PYTHON_SERVICE_URL, formattedData, {
       headers: { 'Content-Type': 'application/json' },
-      timeout: 5000
+      timeout: PYTHON_SERVICE_TIMEOUT,
+      signal
     });
 
     console.log("✅ Received response from Python API:", response.data);
     return response.data;
   } catch (error) {
+    if (axios.isCancel(error)) {
+      throw new Error("Prediction request cancelled.");
+    }
     if (error.response) {
       console.error("❌ Python API responded with error:", error.response.status, error.response.data);
     } else if (error.request) {
@@ -149,5 +267,8 @@ module.exports = {
   findUserByEmail,
   getAllPatients,
   createPatient,
+  addAssessment,
+  renamePatient,
+  deletePatient,
   callPythonService,
 };
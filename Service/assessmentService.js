@@ -0,0 +1,124 @@
+const appService = require('./appService');
+const predictionService = require('./predictionService');
+const ensembleService = require('./ensembleService');
+const notificationService = require('./notificationService');
+const patientValidation = require('./patientValidation');
+const riskThresholdService = require('./riskThresholdService');
+const recommendationService = require('./recommendationService');
+const explanationService = require('./explanationService');
+
+/**
+ * Validates and parses patient data into the stored fields. Field names are
+ * case-insensitive, unknown values are kept as null rather than zero, and
+ * glucose/BMI may be sent in other units (see patientValidation).
+ * @param {Object} patientData - Raw input (predict body, spreadsheet row, ...).
+ * @returns {Promise<Object>} - Parsed patient data.
+ * @throws {Error} - With `details` listing every invalid field.
+ */
+const parsePatientData = async (patientData) => {
+  const { data, errors } = await patientValidation.validatePatientInput(patientData);
+  if (errors.length > 0) {
+    throw Object.assign(
+      new Error(`Invalid patient data: ${errors.map(({ message }) => message).join('; ')}`),
+      { details: errors }
+    );
+  }
+
+  return {
+    ...data,
+    prediction: false,
+    precentage: 0.0, // Fixed field name
+    userId: patientData.userId,
+  };
+};
+
+/**
+ * Converts a stored patient back into input parsePatientData accepts, so
+ * partial edits can be merged and re-validated.
+ * @param {Object} patient - Patient record.
+ * @returns {Object} - Predict request body.
+ */
+const toPredictInput = (patient) => {
+  const input = { name: patient.name };
+  patientValidation.CLINICAL_FIELDS.forEach(field => { input[field] = patient[field]; });
+  return input;
+};
+
+/**
+ * Applies a partial edit (in any supported casing/unit) to a stored patient.
+ * @param {Object} patient - Patient record.
+ * @param {Object} changes - Edited fields.
+ * @returns {Object} - Input for parsePatientData.
+ */
+const mergePatientInput = (patient, changes) => {
+  const normalized = patientValidation.normalizePatientInput(changes);
+  const input = { ...toPredictInput(patient), ...normalized };
+  // The stored Glucose is already in mg/dL; a unit only applies to a new value
+  if (normalized.Glucose === undefined) delete input.glucoseUnit;
+  // A new weight/height replaces the stored BMI unless one is sent too
+  if (normalized.BMI === undefined && (normalized.weight !== undefined || normalized.height !== undefined)) {
+    delete input.BMI;
+  }
+  return input;
+};
+
+/**
+ * Runs the full prediction pipeline for parsed patient data: predicts with
+ * the configured engine, combines model outputs, explains the prediction,
+ * assigns the risk level, saves the patient (or a new assessment of an
+ * existing patient) and creates the in-app notification.
+ * @param {Object} patientData - Output of parsePatientData with userId set.
+ * @param {Object|null} existingPatient - Patient being re-assessed, if any.
+ * @param {Object} [options] - `{ rename, explain }`: `rename` also stores
+ *   the name of an existing patient, in the same transaction as the
+ *   assessment; `explain: false` skips the explanation (stored as null);
+ *   `onSaved(tx, { patient, assessment })` runs in the transaction that
+ *   creates a new patient.
+ * @returns {Promise<Object>} - `{ patient, assessment, notification }`.
+ */
+async function runAssessment(patientData, existingPatient = null, { rename = false, explain = true, onSaved } = {}) {
+  // Run the prediction (remote service, or the local model as a fallback)
+  const prediction = await predictionService.predict(patientData);
+  const { engine, fallbackReason, models, imputedFields } = prediction;
+
+  // Combine the per-model results using the admin-selected strategy
+  const strategyConfig = await ensembleService.getStrategyConfig();
+  const combined = ensembleService.combine(models, strategyConfig);
+
+  // Which features pushed the score up or down
+  const explanation = explain
+    ? await explanationService.explain(prediction, patientData, combined, strategyConfig)
+    : null;
+
+  // Assign risk level and recommendation from the active threshold version
+  const { riskLevel, recommendation, thresholdVersionId } = await riskThresholdService.classify(combined.precentage);
+
+  // Update patient data with results
+  patientData.prediction = combined.prediction;
+  patientData.precentage = combined.precentage;
+  patientData.strategy = combined.strategy;
+  patientData.predictionResults = combined.results;
+  patientData.riskLevel = riskLevel;
+  patientData.recommendation = recommendation;
+  patientData.thresholdVersionId = thresholdVersionId;
+
+  // Personalised advice from the individual measurements
+  patientData.recommendations = await recommendationService.recommend(patientData);
+  patientData.engine = engine;
+  patientData.engineFallbackReason = fallbackReason;
+  patientData.imputedFields = imputedFields;
+  patientData.explanation = explanation;
+
+  // Save a new patient, or a new assessment for an existing one
+  const { patient, assessment } = existingPatient
+    ? await appService.addAssessment(existingPatient.Id, patientData, rename)
+    : await appService.createPatient(patientData, onSaved);
+
+  // Add a notification for the patient
+  const notificationMessage = `Patient ${patient.name} has a ${patient.riskLevel} risk level. Prediction: ${patient.prediction ? 'Diabetic' : 'Not Diabetic'}`;
+  const notification = await notificationService.createNotification(patient, notificationMessage);
+
+  return { patient, assessment, notification };
+}
+
+module.exports = { parsePatientData, toPredictInput, mergePatientInput, runAssessment };
@@ -0,0 +1,82 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+// Action types written to AuditLog.actionType
+const AUDIT_ACTIONS = {
+  LOGIN: 'LOGIN',
+  LOGIN_FAILED: 'LOGIN_FAILED',
+  LOGOUT: 'LOGOUT',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_UNLOCKED: 'ACCOUNT_UNLOCKED',
+  REGISTER: 'REGISTER',
+  PREDICT: 'PREDICT',
+  BATCH_PREDICT: 'BATCH_PREDICT',
+  IMPORT: 'IMPORT',
+  ROLE_CHANGE: 'ROLE_CHANGE',
+  USER_DELETE: 'USER_DELETE',
+  PATIENT_UPDATE: 'PATIENT_UPDATE',
+  PATIENT_DELETE: 'PATIENT_DELETE',
+  EXPORT: 'EXPORT',
+  PASSWORD_RESET_REQUEST: 'PASSWORD_RESET_REQUEST',
+  PASSWORD_RESET: 'PASSWORD_RESET',
+  SETTINGS_CHANGE: 'SETTINGS_CHANGE',
+  FEEDBACK_UPDATE: 'FEEDBACK_UPDATE',
+  RESTORE: 'RESTORE',
+  PURGE: 'PURGE',
+};
+
+// Never persist credentials in before/after snapshots
+const SENSITIVE_FIELDS = ['password', 'resetToken', 'resetTokenExpiry', 'refreshTokenHash'];
+
+const toJson = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const json = JSON.parse(JSON.stringify(value));
+  if (json && typeof json === 'object') {
+    SENSITIVE_FIELDS.forEach(field => delete json[field]);
+  }
+  return json;
+};
+
+/**
+ * Extracts the client's IP address and user agent from a request.
+ * @param {Object} req - Express request.
+ * @returns {Object} - `{ ipAddress, userAgent }`.
+ */
+const requestContext = (req) => ({
+  ipAddress: req?.ip || req?.socket?.remoteAddress || null,
+  userAgent: req?.get?.('user-agent') || null,
+});
+
+/**
+ * Writes an audit entry. Failures are logged and never interrupt the request
+ * that triggered them.
+ * @param {Object} entry - `{ userId, action, actionType, targetType, targetId, before, after, details }`;
+ *   scheduled jobs, which have no acting user, pass `system: true` instead of a userId.
+ * @param {Object} [req] - Express request, used for IP and user agent.
+ * @returns {Promise<Object|null>} - The created log, or null when it could not be written.
+ */
+async function record(entry, req) {
+  const { userId, action, actionType, targetType, targetId, before, after, details, system } = entry;
+  if (!userId && !system) return null;
+
+  try {
+    return await prisma.auditLog.create({
+      data: {
+        userId: userId || null,
+        action,
+        actionType,
+        targetType: targetType || null,
+        targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+        before: toJson(before),
+        after: toJson(after),
+        details: typeof details === 'string' || details === undefined ? details : JSON.stringify(details),
+        ...requestContext(req),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    return null;
+  }
+}
+
+module.exports = { AUDIT_ACTIONS, requestContext, record };
@@ -0,0 +1,209 @@
+const { PrismaClient } = require('@prisma/client');
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const path = require('path');
+const assessmentService = require('./assessmentService');
+const { canonicalField } = require('./patientValidation');
+
+const prisma = new PrismaClient();
+
+const MAX_ROWS = parseInt(process.env.BATCH_MAX_ROWS, 10) || 1000;
+
+// BATCH_EXPLANATIONS=false skips per-row explanations, which may cost extra
+// prediction calls per row
+const EXPLAIN_ROWS = process.env.BATCH_EXPLANATIONS !== 'false';
+
+// Columns every upload must have; the rest may be left blank for unknown values
+const REQUIRED_COLUMNS = ['Age', 'Glucose'];
+
+// ExcelJS cells can hold formulas, rich text or hyperlinks; keep their plain value
+const cellValue = (value) => {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return value.result;
+    if (value.text !== undefined) return value.text;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  }
+  if (typeof value === 'string' && value.trim() === '') return undefined;
+  return value;
+};
+
+/**
+ * Reads an uploaded CSV or XLSX file into plain row objects.
+ * @param {Buffer} buffer - The uploaded file contents.
+ * @param {string} fileName - Original file name, used to detect the format.
+ * @returns {Promise<Array<Object>>} - Rows keyed by the predict body's field names.
+ */
+async function parseUpload(buffer, fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+
+  let worksheet;
+  if (extension === '.csv') {
+    worksheet = await workbook.csv.read(Readable.from(buffer));
+  } else if (extension === '.xlsx') {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  } else {
+    throw new Error('Unsupported file type. Upload a .csv or .xlsx file');
+  }
+
+  if (!worksheet || worksheet.rowCount < 2) {
+    throw new Error('The file has no data rows');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    // Same case-insensitive field names as the predict endpoint
+    headers[column] = canonicalField(cellValue(cell.value));
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => !headers.includes(field));
+  if (!headers.includes('BMI') && !(headers.includes('weight') && headers.includes('height'))) {
+    missing.push('BMI (or weight and height)');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const input = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) input[headers[column]] = cellValue(cell.value);
+    });
+    if (Object.keys(input).length > 0) rows.push({ rowNumber, input });
+  });
+
+  if (rows.length === 0) throw new Error('The file has no data rows');
+  if (rows.length > MAX_ROWS) throw new Error(`A batch may contain at most ${MAX_ROWS} rows`);
+
+  return rows;
+}
+
+/**
+ * Creates a batch job with one pending row per spreadsheet row.
+ * @param {string} userId - Owner of the job and of the created patients.
+ * @param {Object} file - `{ buffer, originalname }` from the upload.
+ * @returns {Promise<Object>} - The created job.
+ */
+async function createJob(userId, file) {
+  const rows = await parseUpload(file.buffer, file.originalname);
+
+  return prisma.batchJob.create({
+    data: {
+      userId,
+      fileName: file.originalname,
+      totalRows: rows.length,
+      rows: {
+        create: rows.map(({ rowNumber, input }) => ({ rowNumber, input })),
+      },
+    },
+  });
+}
+
+/**
+ * Records the outcome of a row and counts it on the job. Only a row that is
+ * still pending is updated.
+ * @param {Object} client - Prisma client or transaction.
+ * @returns {Promise<boolean>} - Whether the row was still pending.
+ */
+async function recordRow(client, row, rowUpdate) {
+  const { count } = await client.batchJobRow.updateMany({
+    where: { id: row.id, status: 'pending' },
+    data: rowUpdate,
+  });
+  if (count === 0) return false;
+
+  await client.batchJob.update({
+    where: { id: row.jobId },
+    data: {
+      processedRows: { increment: 1 },
+      [rowUpdate.status === 'success' ? 'succeededRows' : 'failedRows']: { increment: 1 },
+    },
+  });
+  return true;
+}
+
+/**
+ * Runs every pending row of a job through the prediction pipeline. A failing
+ * row is recorded with its error and does not stop the rest of the batch.
+ * A successful row is marked done in the transaction that creates its
+ * patient, so resuming a job never creates the patient twice.
+ * @param {string} jobId - The job to process.
+ */
+async function processJob(jobId) {
+  const job = await prisma.batchJob.update({
+    where: { id: jobId },
+    data: { status: 'processing', startedAt: new Date() },
+  });
+
+  const pendingRows = await prisma.batchJobRow.findMany({
+    where: { jobId, status: 'pending' },
+    orderBy: { rowNumber: 'asc' },
+  });
+
+  for (const row of pendingRows) {
+    try {
+      const patientData = await assessmentService.parsePatientData(row.input);
+      patientData.userId = job.userId;
+
+      await assessmentService.runAssessment(patientData, null, {
+        explain: EXPLAIN_ROWS,
+        onSaved: async (tx, { patient, assessment }) => {
+          const recorded = await recordRow(tx, row, {
+            status: 'success',
+            patientId: patient.Id,
+            assessmentId: assessment.id,
+            prediction: patient.prediction,
+            precentage: patient.precentage,
+            riskLevel: patient.riskLevel,
+          });
+          // Processed elsewhere meanwhile; roll the new patient back
+          if (!recorded) throw new Error(`Batch row ${row.id} was already processed`);
+        },
+      });
+    } catch (error) {
+      // No-op when the row was already recorded, e.g. the notification
+      // failed after the patient was saved
+      await prisma.$transaction(tx => recordRow(tx, row, { status: 'error', error: error.message }));
+    }
+  }
+
+  return prisma.batchJob.update({
+    where: { id: jobId },
+    data: { status: 'completed', finishedAt: new Date() },
+  });
+}
+
+/**
+ * Processes a job in the background, marking it failed on unexpected errors.
+ * @param {string} jobId - The job to process.
+ */
+function enqueueJob(jobId) {
+  setImmediate(() => {
+    processJob(jobId).catch(async (error) => {
+      console.error(`❌ Batch job ${jobId} failed:`, error.message);
+      await prisma.batchJob.update({
+        where: { id: jobId },
+        data: { status: 'failed', error: error.message, finishedAt: new Date() },
+      }).catch(() => {});
+    });
+  });
+}
+
+/**
+ * Re-queues jobs left unfinished by a server restart; already processed rows
+ * are kept and only pending rows are run.
+ */
+async function resumeUnfinishedJobs() {
+  const jobs = await prisma.batchJob.findMany({
+    where: { status: { in: ['queued', 'processing'] } },
+    select: { id: true },
+  });
+  jobs.forEach(job => enqueueJob(job.id));
+  return jobs.length;
+}
+
+module.exports = { MAX_ROWS, parseUpload, createJob, processJob, enqueueJob, resumeUnfinishedJobs };
@@ -0,0 +1,90 @@
+// Confirmed diagnoses (ground truth) recorded by clinicians after a
+// confirmatory test, used to measure how accurate the predictions were
+
+// Diagnostic cut-offs for diabetes (ADA); `threshold` is inclusive
+const DIAGNOSIS_METHODS = {
+  hba1c: { label: 'HbA1c', unit: '%', threshold: 6.5, min: 3, max: 20 },
+  fpg: { label: 'Fasting plasma glucose', unit: 'mg/dL', threshold: 126, min: 20, max: 600 },
+  ogtt: { label: '2-hour OGTT glucose', unit: 'mg/dL', threshold: 200, min: 20, max: 1000 },
+  'random-glucose': { label: 'Random plasma glucose', unit: 'mg/dL', threshold: 200, min: 20, max: 1000 },
+  clinical: { label: 'Clinical diagnosis', unit: null, threshold: null },
+};
+
+const toBoolean = (value) => {
+  if (value === true || value === 'true' || value === 1 || value === '1') return true;
+  if (value === false || value === 'false' || value === 0 || value === '0') return false;
+  return undefined;
+};
+
+/**
+ * Validates a confirmed diagnosis. When `diabetic` is omitted it is derived
+ * from `value` using the method's diagnostic cut-off; send `diabetic: null`
+ * to clear a diagnosis recorded by mistake.
+ * @param {Object} input - `{ diabetic, method, value, confirmedAt, notes }`.
+ * @param {string} userId - Clinician recording it.
+ * @returns {Object} - Patient fields to update.
+ */
+function validateDiagnosis(input = {}, userId) {
+  if (input.diabetic === null) {
+    return {
+      confirmedDiagnosis: null,
+      diagnosisMethod: null,
+      diagnosisValue: null,
+      diagnosisConfirmedAt: null,
+      diagnosisNotes: null,
+      diagnosisRecordedById: null,
+    };
+  }
+
+  const errors = [];
+  const method = input.method === undefined ? 'clinical' : String(input.method).toLowerCase();
+  const definition = DIAGNOSIS_METHODS[method];
+  if (!definition) {
+    errors.push(`method must be one of: ${Object.keys(DIAGNOSIS_METHODS).join(', ')}`);
+  }
+
+  let value = null;
+  if (input.value !== undefined && input.value !== null && input.value !== '') {
+    value = Number(input.value);
+    if (definition && definition.unit === null) {
+      errors.push('value is not used with a clinical diagnosis');
+    } else if (definition && (!Number.isFinite(value) || value < definition.min || value > definition.max)) {
+      errors.push(`value must be between ${definition.min} and ${definition.max} ${definition.unit}`);
+    }
+  }
+
+  let diabetic = toBoolean(input.diabetic);
+  if (input.diabetic !== undefined && diabetic === undefined) {
+    errors.push('diabetic must be true or false');
+  } else if (diabetic === undefined && definition) {
+    if (value === null || definition.threshold === null) {
+      errors.push('diabetic is required unless a test value is given');
+    } else {
+      diabetic = value >= definition.threshold;
+    }
+  }
+
+  let confirmedAt = new Date();
+  if (input.confirmedAt !== undefined && input.confirmedAt !== null) {
+    confirmedAt = new Date(input.confirmedAt);
+    if (isNaN(confirmedAt.getTime())) errors.push('confirmedAt must be a valid date');
+    else if (confirmedAt > new Date()) errors.push('confirmedAt cannot be in the future');
+  }
+
+  if (input.notes !== undefined && input.notes !== null && (typeof input.notes !== 'string' || input.notes.length > 1000)) {
+    errors.push('notes must be a text of at most 1000 characters');
+  }
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  return {
+    confirmedDiagnosis: diabetic,
+    diagnosisMethod: method,
+    diagnosisValue: value,
+    diagnosisConfirmedAt: confirmedAt,
+    diagnosisNotes: input.notes || null,
+    diagnosisRecordedById: userId,
+  };
+}
+
+module.exports = { DIAGNOSIS_METHODS, validateDiagnosis };
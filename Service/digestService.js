@@ -0,0 +1,345 @@
+const { PrismaClient } = require('@prisma/client');
+const queries = require('../database/queries');
+const { PERMISSIONS, hasPermission } = require('../middleware/permissions');
+const emailService = require('./emailService');
+const exportService = require('./exportService');
+const { RISK_LEVELS } = require('./patientQueryService');
+
+const prisma = new PrismaClient();
+
+const FREQUENCIES = { daily: 1, weekly: 7 }; // Period length in days
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.DIGEST_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+const MAX_LISTED_PATIENTS = 20;
+
+// Attachments are base64 in the outbox; keep messages a reasonable size
+const MAX_ATTACHMENT_PATIENTS = parseInt(process.env.DIGEST_MAX_ATTACHMENT_PATIENTS, 10) || 5000;
+
+/**
+ * Next time a schedule is due strictly after `after` (UTC).
+ * @param {Object} schedule - `{ frequency, dayOfWeek, hour }`.
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+function computeNextRun({ frequency, dayOfWeek, hour }, after = new Date()) {
+  const next = new Date(after);
+  next.setUTCHours(hour, 0, 0, 0);
+  if (next <= after) next.setUTCDate(next.getUTCDate() + 1);
+  if (frequency === 'weekly') {
+    next.setUTCDate(next.getUTCDate() + ((dayOfWeek - next.getUTCDay() + 7) % 7));
+  }
+  return next;
+}
+
+/**
+ * Recipients must be users allowed to export patient data, since the digest
+ * lists patients and attaches an export.
+ * @param {Array<string>} emails - Requested recipient emails.
+ * @returns {Promise<Array<string>>} - Normalized emails.
+ */
+async function validateRecipients(emails) {
+  if (!Array.isArray(emails) || emails.some(email => typeof email !== 'string')) {
+    throw new Error('recipients must be a list of user emails');
+  }
+  const normalized = [...new Set(emails.map(email => email.trim().toLowerCase()))];
+  if (normalized.length === 0) return [];
+
+  const users = await prisma.user.findMany({
+    where: { email: { in: normalized, mode: 'insensitive' }, deletedAt: null },
+    select: { email: true, role: true },
+  });
+  const allowed = new Set(users
+    .filter(user => hasPermission(user.role, PERMISSIONS.EXPORTS_RUN))
+    .map(user => user.email.toLowerCase()));
+  const rejected = normalized.filter(email => !allowed.has(email));
+  if (rejected.length > 0) {
+    throw new Error(`recipients must be users allowed to export patient data: ${rejected.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Validates a schedule, either complete (create) or partial (update).
+ * @param {Object} input - `{ name, frequency, dayOfWeek, hour, recipients,
+ *   includeAttachment, enabled }`.
+ * @param {Object} [existing] - The stored schedule when updating.
+ * @returns {Promise<Object>} - Data to persist, with nextRunAt recomputed.
+ */
+async function validateSchedule(input = {}, existing = null) {
+  const data = {};
+  ['name', 'frequency', 'dayOfWeek', 'hour', 'includeAttachment', 'enabled'].forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field];
+  });
+  const schedule = { hour: 7, dayOfWeek: null, ...existing, ...data };
+  const errors = [];
+
+  if (typeof schedule.name !== 'string' || !schedule.name.trim() || schedule.name.length > 100) {
+    errors.push('name must be a non-empty text of at most 100 characters');
+  }
+  if (!FREQUENCIES[schedule.frequency]) {
+    errors.push(`frequency must be one of: ${Object.keys(FREQUENCIES).join(', ')}`);
+  }
+  if (!Number.isInteger(schedule.hour) || schedule.hour < 0 || schedule.hour > 23) {
+    errors.push('hour must be a whole number from 0 to 23 (UTC)');
+  }
+  if (schedule.frequency === 'weekly') {
+    if (!Number.isInteger(schedule.dayOfWeek) || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6) {
+      errors.push('dayOfWeek must be a whole number from 0 (Sunday) to 6 for weekly digests');
+    }
+  } else {
+    data.dayOfWeek = null;
+    schedule.dayOfWeek = null;
+  }
+  ['includeAttachment', 'enabled'].forEach(field => {
+    if (data[field] !== undefined && typeof data[field] !== 'boolean') errors.push(`${field} must be true or false`);
+  });
+
+  if (input.recipients !== undefined) {
+    try {
+      data.recipients = await validateRecipients(input.recipients);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  if (typeof data.name === 'string') data.name = data.name.trim();
+  data.nextRunAt = computeNextRun(schedule);
+  return data;
+}
+
+async function listSchedules() {
+  return prisma.digestSchedule.findMany({
+    orderBy: { id: 'asc' },
+    include: { runs: { orderBy: { startedAt: 'desc' }, take: 1 } },
+  });
+}
+
+async function createSchedule(input, userId) {
+  const data = await validateSchedule(input);
+  return prisma.digestSchedule.create({ data: { ...data, createdById: userId } });
+}
+
+async function updateSchedule(id, input) {
+  const existing = await prisma.digestSchedule.findUnique({ where: { id } });
+  if (!existing) throw new Error('Digest schedule not found');
+  return prisma.digestSchedule.update({ where: { id }, data: await validateSchedule(input, existing) });
+}
+
+async function deleteSchedule(id) {
+  const existing = await prisma.digestSchedule.findUnique({ where: { id } });
+  if (!existing) throw new Error('Digest schedule not found');
+  await prisma.digestSchedule.delete({ where: { id } });
+  return existing;
+}
+
+async function listRuns(scheduleId, { page, limit }) {
+  const where = { scheduleId };
+  const [runs, total] = await Promise.all([
+    prisma.digestRun.findMany({ where, orderBy: { startedAt: 'desc' }, skip: (page - 1) * limit, take: limit }),
+    prisma.digestRun.count({ where }),
+  ]);
+  return { data: runs, meta: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+}
+
+/**
+ * Gathers the digest figures for a period.
+ * @param {Date} periodStart
+ * @param {Date} periodEnd
+ * @returns {Promise<Object>} - `{ screenings, riskLevels, criticalPatients,
+ *   newUsers, unreadFeedback, predictionFailures }`.
+ */
+async function collectStats(periodStart, periodEnd) {
+  const createdAt = { gte: periodStart, lt: periodEnd };
+  const patient = { deletedAt: null }; // Trashed patients are left out
+
+  const [screenings, riskGroups, criticalPatients, newUsers, unreadFeedback, predictionFailures] = await Promise.all([
+    prisma.assessment.count({ where: { createdAt, patient } }),
+    prisma.assessment.groupBy({ by: ['riskLevel'], where: { createdAt, patient }, _count: { id: true } }),
+    prisma.patient.findMany({
+      where: { riskLevel: 'Critical', CreatedAt: createdAt, deletedAt: null },
+      select: { Id: true, name: true, riskLevel: true, precentage: true },
+      orderBy: { precentage: 'desc' },
+    }),
+    prisma.user.count({ where: { createdAt, deletedAt: null } }),
+    prisma.feedback.count({ where: { status: 'new' } }),
+    // The prediction service failed and the local model answered instead
+    prisma.assessment.count({ where: { createdAt, patient, engineFallbackReason: { not: null } } }),
+  ]);
+
+  const riskLevels = Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+  riskGroups.forEach(group => { riskLevels[group.riskLevel] = group._count.id; });
+
+  return { screenings, riskLevels, criticalPatients, newUsers, unreadFeedback, predictionFailures };
+}
+
+const toDigestData = (stats, periodLabel) => ({
+  periodLabel,
+  stats: [
+    { label: 'Screenings', value: stats.screenings },
+    ...Object.entries(stats.riskLevels).map(([level, count]) => ({ label: `${level} risk`, value: count })),
+    { label: 'New Critical-risk patients', value: stats.criticalPatients.length },
+    { label: 'New users', value: stats.newUsers },
+    { label: 'Unread feedback', value: stats.unreadFeedback },
+    { label: 'Prediction service failures', value: stats.predictionFailures },
+  ],
+  patients: stats.criticalPatients.slice(0, MAX_LISTED_PATIENTS),
+});
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Builds the Excel export of the patients screened in the period, using
+ * the admin export columns. Over MAX_ATTACHMENT_PATIENTS patients, nothing
+ * is attached and `note` tells the recipients why.
+ * @returns {Promise<Object>} - `{ attachment, note }`, either may be null.
+ */
+async function buildAttachment(periodStart, periodEnd) {
+  const where = { deletedAt: null, assessments: { some: { createdAt: { gte: periodStart, lt: periodEnd } } } };
+  const count = await prisma.patient.count({ where });
+  if (count === 0) return { attachment: null, note: null };
+  if (count > MAX_ATTACHMENT_PATIENTS) {
+    return {
+      attachment: null,
+      note: `The spreadsheet of the ${count} patients screened is not attached (limit ${MAX_ATTACHMENT_PATIENTS}); export it from the admin dashboard.`,
+    };
+  }
+
+  const content = await exportService.exportToBuffer('xlsx', { where, columns: exportService.DEFAULT_COLUMNS });
+  return {
+    attachment: {
+      filename: `screenings_${formatDay(periodStart)}_${formatDay(periodEnd)}.xlsx`,
+      content: content.toString('base64'),
+      encoding: 'base64',
+      contentType: exportService.FORMATS.xlsx.contentType,
+    },
+    note: null,
+  };
+}
+
+/**
+ * Sends one digest and logs the run. A schedule without recipients goes to
+ * every admin.
+ * @param {Object} schedule - DigestSchedule record.
+ * @param {Object} [options] - `{ trigger, periodEnd }`.
+ * @returns {Promise<Object>} - The DigestRun record.
+ */
+async function runDigest(schedule, { trigger = 'schedule', periodEnd = new Date() } = {}) {
+  const periodStart = new Date(periodEnd.getTime() - FREQUENCIES[schedule.frequency] * DAY_MS);
+  const run = await prisma.digestRun.create({
+    data: { scheduleId: schedule.id, trigger, periodStart, periodEnd },
+  });
+
+  try {
+    const recipients = schedule.recipients.length > 0
+      ? await prisma.user.findMany({
+        where: { email: { in: schedule.recipients, mode: 'insensitive' }, deletedAt: null },
+        select: { email: true, name: true, role: true },
+      }).then(users => users.filter(user => hasPermission(user.role, PERMISSIONS.EXPORTS_RUN)))
+      : await queries.findAdminUsers();
+    if (recipients.length === 0) throw new Error('No recipients');
+
+    const stats = await collectStats(periodStart, periodEnd);
+    const periodLabel = `${formatDay(periodStart)} to ${formatDay(periodEnd)}`;
+    // Built once for all recipients; the outbox drops each copy once it is sent
+    const { attachment, note } = schedule.includeAttachment
+      ? await buildAttachment(periodStart, periodEnd)
+      : { attachment: null, note: null };
+    const attachments = attachment ? [attachment] : undefined;
+
+    for (const recipient of recipients) {
+      await emailService.queueEmail('digest', recipient.email, {
+        name: recipient.name,
+        ...toDigestData(stats, periodLabel),
+        note,
+      }, { attachments });
+    }
+
+    return await prisma.digestRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'sent',
+        finishedAt: new Date(),
+        recipients: recipients.map(recipient => recipient.email),
+        stats: { ...stats, criticalPatients: stats.criticalPatients.length, attachment: Boolean(attachment) },
+      },
+    });
+  } catch (error) {
+    console.error(`❌ Digest "${schedule.name}" failed:`, error.message);
+    return prisma.digestRun.update({
+      where: { id: run.id },
+      data: { status: 'failed', finishedAt: new Date(), error: error.message },
+    });
+  }
+}
+
+/**
+ * Sends a digest now, outside its schedule.
+ */
+async function runNow(id) {
+  const schedule = await prisma.digestSchedule.findUnique({ where: { id } });
+  if (!schedule) throw new Error('Digest schedule not found');
+  return runDigest(schedule, { trigger: 'manual' });
+}
+
+/**
+ * Runs every enabled schedule that is due. Each one is claimed by moving its
+ * nextRunAt forward first, so concurrent instances don't send it twice.
+ * @returns {Promise<number>} - Number of digests run.
+ */
+async function processDueDigests() {
+  const now = new Date();
+  const due = await prisma.digestSchedule.findMany({ where: { enabled: true, nextRunAt: { lte: now } } });
+
+  let count = 0;
+  for (const schedule of due) {
+    const claimed = await prisma.digestSchedule.updateMany({
+      where: { id: schedule.id, nextRunAt: schedule.nextRunAt },
+      data: { nextRunAt: computeNextRun(schedule, now), lastRunAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    await runDigest(schedule, { periodEnd: schedule.nextRunAt });
+    count += 1;
+  }
+  return count;
+}
+
+/**
+ * Starts the in-process scheduler (checks every DIGEST_SCHEDULER_INTERVAL_MS).
+ * Digests missed while the server was down are sent once on the next check.
+ */
+function startDigestScheduler() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processDueDigests();
+    } catch (error) {
+      console.error('❌ Digest scheduler failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+
+  return processDueDigests();
+}
+
+module.exports = {
+  FREQUENCIES,
+  computeNextRun,
+  validateSchedule,
+  listSchedules,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+  collectStats,
+  runDigest,
+  runNow,
+  processDueDigests,
+  startDigestScheduler,
+};
@@ -1,73 +1,207 @@
-// const nodemailer = require('nodemailer');
-
-// // Configure transporter based on environment
-// const transporter = nodemailer.createTransport(
-//     process.env.NODE_ENV === 'production' 
-//     ? {
-//         // Production configuration
-//         host: process.env.EMAIL_HOST,
-//         port: process.env.EMAIL_PORT,
-//         secure: true,
-//         auth: {
-//             user: process.env.EMAIL_USER,
-//             pass: process.env.EMAIL_PASS
-//         }
-//       }
-//     : {
-//         // Development configuration (ethereal.email)
-//         host: 'smtp.ethereal.email',
-//         port: 587,
-//         auth: {
-//             user: 'your-ethereal-username',
-//             pass: 'your-ethereal-password'
-//         }
-//       }
-// );
-
-// const verifyEmailConnection = async () => {
-//     try {
-//         await transporter.verify();
-//         console.log('✅ Email server connection verified');
-//     } catch (error) {
-//         console.error('❌ Email server connection failed:', error);
-//         process.exit(1); // Exit if email service is critical
-//     }
-// };
-
-// const sendPasswordResetEmail = async (email, token) => {
-//     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${encodeURIComponent(token)}&email=${encodeURIComponent(email)}`;
-    
-//     try {
-//         const info = await transporter.sendMail({
-//             from: `"Health Team" <${process.env.EMAIL_FROM || 'noreply@example.com'}>`,
-//             to: email,
-//             subject: 'Password Reset Request',
-//             html: `
-//                 <p>You requested a password reset:</p>
-//                 <a href="${resetUrl}">Reset Password Here</a>
-//                 <p>This link expires in 1 hour</p>
-//             `
-//         });
-
-//         // Return debug info for development
-//         return {
-//             success: true,
-//             debugInfo: {
-//                 messageId: info.messageId,
-//                 previewUrl: nodemailer.getTestMessageUrl(info)
-//             }
-//         };
-
-//     } catch (error) {
-//         console.error('Email send failed:', {
-//             email,
-//             error: error.response || error.message
-//         });
-//         throw new Error('Failed to send password reset email');
-//     }
-// };
-
-// // Verify connection on startup
-// verifyEmailConnection();
-
-// module.exports = { sendPasswordResetEmail };
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { PrismaClient, Prisma } = require('@prisma/client');
+const emailTemplates = require('./emailTemplates');
+
+const prisma = new PrismaClient();
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS, 10) || 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const WORKER_INTERVAL_MS = parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS, 10) || 30 * 1000;
+const OUTPUT_DIR = process.env.EMAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'emails');
+
+/**
+ * Selects the transport from EMAIL_TRANSPORT:
+ * - "smtp": EMAIL_HOST/EMAIL_PORT/EMAIL_SECURE, or EMAIL_SERVICE (default
+ *   "gmail"), authenticated with EMAIL_USER/EMAIL_PASS
+ * - "file": writes each message as an .eml file to EMAIL_OUTPUT_DIR
+ * - "console": logs each message (development and tests); the body of
+ *   sensitive templates is never logged
+ * Defaults to "smtp", which fails delivery until EMAIL_USER is configured.
+ */
+const transportName = () => process.env.EMAIL_TRANSPORT || 'smtp';
+
+const isSensitive = (email) => emailTemplates.SENSITIVE_TEMPLATES.includes(email.template);
+
+// Drops the body of a sensitive message once it no longer needs sending
+const REDACTED = { text: '[redacted]', html: null };
+
+const createTransport = () => {
+  switch (transportName()) {
+    case 'smtp':
+      if (!process.env.EMAIL_USER) {
+        throw new Error('EMAIL_USER is not set; configure SMTP or set EMAIL_TRANSPORT=file or console');
+      }
+      return nodemailer.createTransport({
+        ...(process.env.EMAIL_HOST
+          ? {
+              host: process.env.EMAIL_HOST,
+              port: parseInt(process.env.EMAIL_PORT, 10) || 587,
+              secure: process.env.EMAIL_SECURE === 'true',
+            }
+          : { service: process.env.EMAIL_SERVICE || 'gmail' }),
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'console':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${transportName()}`);
+  }
+};
+
+let transporter;
+const getTransporter = () => {
+  if (!transporter) transporter = createTransport();
+  return transporter;
+};
+
+// Delay before the next attempt: base, 2x base, 4x base, ... capped
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+const sendMessage = async (email) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.EMAIL_FROM || process.env.EMAIL_USER || 'noreply@example.com',
+    to: email.to,
+    subject: email.subject,
+    text: email.text,
+    html: email.html,
+    attachments: email.attachments || undefined,
+  });
+
+  if (transportName() === 'file') {
+    await fs.promises.mkdir(OUTPUT_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(OUTPUT_DIR, `${email.id}-${email.template}.eml`), info.message);
+  } else if (transportName() === 'console') {
+    console.log(`📧 Email to ${email.to}: ${email.subject}${isSensitive(email) ? '' : `\n${email.text}`}`);
+  }
+
+  return info;
+};
+
+/**
+ * Attempts delivery of one outbox message. Failures are rescheduled with
+ * exponential backoff until EMAIL_MAX_ATTEMPTS, then marked failed. Sensitive
+ * messages (reset links) are redacted once sent or failed for good.
+ * @param {number} id - EmailOutbox id.
+ * @returns {Promise<Object|null>} - The updated message, or null if another
+ *   worker already claimed it.
+ */
+async function deliver(id) {
+  // Claim the message so concurrent workers don't send it twice
+  const claimed = await prisma.emailOutbox.updateMany({
+    where: { id, status: 'pending' },
+    data: { status: 'sending', attempts: { increment: 1 } },
+  });
+  if (claimed.count === 0) return null;
+
+  const email = await prisma.emailOutbox.findUnique({ where: { id } });
+
+  try {
+    await sendMessage(email);
+    return await prisma.emailOutbox.update({
+      where: { id },
+      data: {
+        status: 'sent',
+        sentAt: new Date(),
+        lastError: null,
+        // Attachments (digest spreadsheets) are not kept once delivered
+        attachments: Prisma.DbNull,
+        ...(isSensitive(email) ? REDACTED : {}),
+      },
+    });
+  } catch (error) {
+    const exhausted = email.attempts >= email.maxAttempts;
+    console.error(`❌ Email ${id} to ${email.to} failed (attempt ${email.attempts}):`, error.message);
+    return prisma.emailOutbox.update({
+      where: { id },
+      data: {
+        status: exhausted ? 'failed' : 'pending',
+        lastError: error.message,
+        nextAttemptAt: exhausted ? email.nextAttemptAt : new Date(Date.now() + retryDelay(email.attempts)),
+        ...(exhausted && isSensitive(email) ? REDACTED : {}),
+      },
+    });
+  }
+}
+
+/**
+ * Renders a template, stores it in the outbox and starts delivery in the
+ * background. Resolves once the message is persisted, so a failing SMTP
+ * server never loses it or slows the caller down.
+ * @param {string} template - Key of emailTemplates.TEMPLATES.
+ * @param {string} to - Recipient address.
+ * @param {Object} data - Template data.
+ * @param {Object} [options] - `{ attachments }` in nodemailer's format (string content).
+ * @returns {Promise<Object>} - The outbox record.
+ */
+async function queueEmail(template, to, data, { attachments } = {}) {
+  const { subject, text, html } = emailTemplates.render(template, data);
+
+  const email = await prisma.emailOutbox.create({
+    data: { to, template, subject, text, html, attachments, maxAttempts: MAX_ATTEMPTS },
+  });
+
+  setImmediate(() => {
+    deliver(email.id).catch(error => console.error(`❌ Email ${email.id} delivery error:`, error.message));
+  });
+
+  return email;
+}
+
+/**
+ * Sends every pending message whose retry time has come.
+ * @returns {Promise<number>} - Number of messages attempted.
+ */
+async function processOutbox() {
+  const due = await prisma.emailOutbox.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: 50,
+    select: { id: true },
+  });
+
+  for (const { id } of due) {
+    await deliver(id);
+  }
+  return due.length;
+}
+
+/**
+ * Starts the background retry loop. Messages left "sending" by a crash are
+ * returned to the queue first; until that succeeds (e.g. the database is not
+ * ready at boot) each tick retries it, so the loop keeps running.
+ * @returns {Promise<void>} - Settles after the first run.
+ */
+async function startOutboxWorker() {
+  let running = false;
+  let recovered = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (!recovered) {
+        await prisma.emailOutbox.updateMany({ where: { status: 'sending' }, data: { status: 'pending' } });
+        recovered = true;
+      }
+      await processOutbox();
+    } catch (error) {
+      console.error('❌ Email outbox processing failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, WORKER_INTERVAL_MS);
+  timer.unref();
+
+  return tick();
+}
+
+module.exports = { queueEmail, deliver, processOutbox, startOutboxWorker };
@@ -0,0 +1,164 @@
+// HTML + plain-text email templates. Each template takes the data passed to
+// emailService.queueEmail and returns `{ subject, text, html }`.
+
+const APP_NAME = process.env.APP_NAME || 'Your Health Platform';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shared HTML frame; `body` must already be escaped
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    <h2 style="color: #1d4ed8;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px;">${escapeHtml(APP_NAME)}</p>
+  </body>
+</html>`;
+
+const predictionResult = ({ patientName, riskLevel, prediction, precentage, recommendation, recommendations = [] }) => {
+  const outcome = prediction ? 'Diabetic' : 'Not Diabetic';
+  const probability = precentage !== undefined ? `${Number(precentage).toFixed(1)}%` : null;
+
+  return {
+    subject: `Patient Prediction and Risk Level: ${patientName}`,
+    text: [
+      'Hello,',
+      '',
+      `This is an update for your patient ${patientName}.`,
+      '',
+      `Risk Level: ${riskLevel}`,
+      `Prediction: ${outcome}`,
+      probability && `Probability: ${probability}`,
+      recommendation && `Recommendation: ${recommendation}`,
+      ...recommendations.map(item => `- ${item.title}: ${item.message}`),
+      '',
+      'Best regards,',
+      APP_NAME,
+    ].filter(line => line !== null && line !== undefined).join('\n'),
+    html: layout('Prediction result', `
+    <p>This is an update for your patient <strong>${escapeHtml(patientName)}</strong>.</p>
+    <ul>
+      <li>Risk level: <strong>${escapeHtml(riskLevel)}</strong></li>
+      <li>Prediction: ${escapeHtml(outcome)}</li>
+      ${probability ? `<li>Probability: ${escapeHtml(probability)}</li>` : ''}
+    </ul>
+    ${recommendation ? `<p>${escapeHtml(recommendation)}</p>` : ''}
+    ${recommendations.length > 0 ? `<ul>
+      ${recommendations.map(item => `<li><strong>${escapeHtml(item.title)}</strong>: ${escapeHtml(item.message)}</li>`).join('\n      ')}
+    </ul>` : ''}`),
+  };
+};
+
+const passwordReset = ({ resetUrl, expiresInMinutes = 60 }) => ({
+  subject: 'Password Reset Instructions',
+  text: `Hi,
+
+Please click the link below to reset your password:
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes. If you did not request this, you can safely ignore this email.
+
+Best regards,
+${APP_NAME}`,
+  html: layout('Reset your password', `
+    <p>Please click the link below to reset your password:</p>
+    <p><a href="${escapeHtml(resetUrl)}">Reset password</a></p>
+    <p>This link expires in ${escapeHtml(expiresInMinutes)} minutes. If you did not request this, you can safely ignore this email.</p>`),
+});
+
+const welcome = ({ name, loginUrl }) => ({
+  subject: `Welcome to ${APP_NAME}`,
+  text: `Hello ${name},
+
+Your account has been created.${loginUrl ? ` You can sign in at ${loginUrl}` : ''}
+
+Best regards,
+${APP_NAME}`,
+  html: layout(`Welcome, ${name}`, `
+    <p>Your account has been created.</p>
+    ${loginUrl ? `<p><a href="${escapeHtml(loginUrl)}">Sign in</a></p>` : ''}`),
+});
+
+/**
+ * Periodic summary.
+ * `{ name, periodLabel, stats: [{ label, value }], patients: [{ name, riskLevel, precentage }], note }`
+ */
+const digest = ({ name, periodLabel, stats = [], patients = [], note = null }) => ({
+  subject: `${APP_NAME} summary: ${periodLabel}`,
+  text: [
+    `Hello ${name},`,
+    '',
+    `Here is your summary for ${periodLabel}:`,
+    ...stats.map(({ label, value }) => `- ${label}: ${value}`),
+    ...(patients.length > 0
+      ? ['', 'Patients needing attention:', ...patients.map(p => `- ${p.name}: ${p.riskLevel} (${Number(p.precentage).toFixed(1)}%)`)]
+      : []),
+    ...(note ? ['', note] : []),
+    '',
+    'Best regards,',
+    APP_NAME,
+  ].join('\n'),
+  html: layout(`Summary: ${periodLabel}`, `
+    <table cellpadding="4" style="border-collapse: collapse;">
+      ${stats.map(({ label, value }) => `<tr><td>${escapeHtml(label)}</td><td><strong>${escapeHtml(value)}</strong></td></tr>`).join('\n      ')}
+    </table>
+    ${patients.length > 0 ? `<h3>Patients needing attention</h3>
+    <ul>
+      ${patients.map(p => `<li>${escapeHtml(p.name)}: ${escapeHtml(p.riskLevel)} (${escapeHtml(Number(p.precentage).toFixed(1))}%)</li>`).join('\n      ')}
+    </ul>` : ''}
+    ${note ? `<p>${escapeHtml(note)}</p>` : ''}`),
+});
+
+const FEEDBACK_STATUS_LABELS = { new: 'New', 'in-review': 'In review', resolved: 'Resolved' };
+
+const feedbackReply = ({ name, feedbackMessage, reply, status }) => {
+  const statusLabel = FEEDBACK_STATUS_LABELS[status] || status;
+  return {
+    subject: 'Reply to your feedback',
+    text: `Hello ${name},
+
+Thank you for your feedback. An administrator replied:
+
+${reply}
+
+Status: ${statusLabel}
+
+Your feedback:
+${feedbackMessage}
+
+Best regards,
+${APP_NAME}`,
+    html: layout('Reply to your feedback', `
+    <p>Hello ${escapeHtml(name)},</p>
+    <p>Thank you for your feedback. An administrator replied:</p>
+    <blockquote style="border-left: 3px solid #1d4ed8; margin: 0; padding-left: 12px;">${escapeHtml(reply)}</blockquote>
+    <p>Status: <strong>${escapeHtml(statusLabel)}</strong></p>
+    <p style="color: #6b7280;">Your feedback: ${escapeHtml(feedbackMessage)}</p>`),
+  };
+};
+
+const TEMPLATES = { predictionResult, passwordReset, welcome, digest, feedbackReply };
+
+// Messages carrying secrets (reset links) have their body cleared once sent
+const SENSITIVE_TEMPLATES = ['passwordReset'];
+
+/**
+ * Renders a template.
+ * @param {string} template - Key of TEMPLATES.
+ * @param {Object} data - Template data.
+ * @returns {Object} - `{ subject, text, html }`.
+ */
+function render(template, data = {}) {
+  const renderer = TEMPLATES[template];
+  if (!renderer) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  return renderer(data);
+}
+
+module.exports = { TEMPLATES, SENSITIVE_TEMPLATES, escapeHtml, render };
@@ -0,0 +1,141 @@
+const { PrismaClient } = require('@prisma/client');
+const prisma = new PrismaClient();
+
+const STRATEGY_SETTING_KEY = 'predictionStrategy';
+const DEFAULT_STRATEGY_CONFIG = { strategy: 'max', weights: {} };
+
+const isDiabetic = (prediction) => prediction === true || Number(prediction) === 1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Each strategy receives the normalized per-model results and returns { prediction, precentage }
+const STRATEGIES = {
+  // Highest-probability model wins (original behaviour)
+  max: (results) => {
+    const best = results.reduce((top, result) => (result.precentage > top.precentage ? result : top));
+    return { prediction: best.prediction, precentage: best.precentage };
+  },
+
+  // Average probability across models
+  mean: (results) => {
+    const precentage = mean(results.map(result => result.precentage));
+    return { prediction: precentage >= 50, precentage };
+  },
+
+  // Average probability weighted per model; unlisted models weigh 1. When
+  // only zero-weight models answered (e.g. a local fallback), plain mean
+  weighted: (results, weights = {}) => {
+    let totalWeight = 0;
+    let weightedSum = 0;
+    results.forEach(result => {
+      const weight = weights[result.model] !== undefined ? Number(weights[result.model]) : 1;
+      totalWeight += weight;
+      weightedSum += weight * result.precentage;
+    });
+    if (totalWeight <= 0) return STRATEGIES.mean(results);
+    const precentage = weightedSum / totalWeight;
+    return { prediction: precentage >= 50, precentage };
+  },
+
+  // Majority of model predictions; ties fall back to the mean probability
+  vote: (results) => {
+    const precentage = mean(results.map(result => result.precentage));
+    const positives = results.filter(result => result.prediction).length;
+    const negatives = results.length - positives;
+    const prediction = positives === negatives ? precentage >= 50 : positives > negatives;
+    return { prediction, precentage };
+  },
+};
+
+/**
+ * Normalizes a prediction engine response into a list of per-model results.
+ * @param {Object} models - `{ [model]: { prediction, precentage } }`.
+ * @returns {Array<Object>} - `[{ model, prediction, precentage }]`.
+ */
+function normalizeResults(models) {
+  return Object.entries(models).map(([model, result]) => ({
+    model,
+    prediction: isDiabetic(result.prediction),
+    precentage: Number(result.precentage),
+  }));
+}
+
+/**
+ * Combines per-model results into a single prediction.
+ * @param {Object} models - Prediction engine response.
+ * @param {Object} config - `{ strategy, weights }`.
+ * @returns {Object} - `{ prediction, precentage, strategy, results }`.
+ */
+function combine(models, config = DEFAULT_STRATEGY_CONFIG) {
+  const combineFn = STRATEGIES[config.strategy];
+  if (!combineFn) {
+    throw new Error(`Unknown combination strategy: ${config.strategy}`);
+  }
+
+  const results = normalizeResults(models);
+  if (results.length === 0) {
+    throw new Error('No model results to combine');
+  }
+
+  const { prediction, precentage } = combineFn(results, config.weights);
+  return { prediction, precentage: round(precentage), strategy: config.strategy, results };
+}
+
+/**
+ * Validates a strategy config submitted by an admin.
+ * @param {Object} config - `{ strategy, weights }`.
+ * @returns {Object} - The sanitized config.
+ */
+function validateStrategyConfig({ strategy, weights = {} } = {}) {
+  if (!STRATEGIES[strategy]) {
+    throw new Error(`Invalid strategy. Allowed values: ${Object.keys(STRATEGIES).join(', ')}`);
+  }
+  if (typeof weights !== 'object' || Array.isArray(weights) || weights === null) {
+    throw new Error('Weights must be an object keyed by model name');
+  }
+  for (const [model, weight] of Object.entries(weights)) {
+    if (!Number.isFinite(Number(weight)) || Number(weight) < 0) {
+      throw new Error(`Invalid weight for model: ${model}`);
+    }
+  }
+  // All-zero weights would make every weighted prediction fail
+  const values = Object.values(weights);
+  if (values.length > 0 && values.reduce((sum, weight) => sum + Number(weight), 0) <= 0) {
+    throw new Error('Model weights must sum to a positive value');
+  }
+  return { strategy, weights };
+}
+
+/**
+ * Reads the admin-selected strategy, falling back to "max".
+ * @returns {Promise<Object>} - `{ strategy, weights }`.
+ */
+async function getStrategyConfig() {
+  const setting = await prisma.setting.findUnique({ where: { key: STRATEGY_SETTING_KEY } });
+  return setting ? { ...DEFAULT_STRATEGY_CONFIG, ...setting.value } : DEFAULT_STRATEGY_CONFIG;
+}
+
+/**
+ * Persists the strategy used for new predictions.
+ * @param {Object} config - `{ strategy, weights }`.
+ * @returns {Promise<Object>} - The stored config.
+ */
+async function setStrategyConfig(config) {
+  const value = validateStrategyConfig(config);
+  await prisma.setting.upsert({
+    where: { key: STRATEGY_SETTING_KEY },
+    update: { value },
+    create: { key: STRATEGY_SETTING_KEY, value },
+  });
+  return value;
+}
+
+module.exports = {
+  STRATEGIES,
+  combine,
+  validateStrategyConfig,
+  getStrategyConfig,
+  setStrategyConfig,
+};
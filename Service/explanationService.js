@@ -0,0 +1,146 @@
+const predictionService = require('./predictionService');
+const ensembleService = require('./ensembleService');
+
+const FEATURES = Object.keys(predictionService.FEATURE_MEDIANS);
+
+// Budget for all perturbation queries of one prediction
+const PERTURBATION_TIMEOUT_MS = parseInt(process.env.EXPLANATION_TIMEOUT_MS, 10) || 5000;
+
+// Rejects once the signal aborts, for engines that do not take a signal
+const whenAborted = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const direction = (contribution) => {
+  if (contribution > 0) return 'increases';
+  if (contribution < 0) return 'decreases';
+  return 'neutral';
+};
+
+/**
+ * Builds the stored explanation from per-feature contributions.
+ * @param {string} method - "remote" or "perturbation".
+ * @param {Object} contributions - `{ [feature]: percentage points }`.
+ * @param {Object} features - Features the prediction used (unknowns imputed).
+ * @param {Array<string>} imputedFields - Features filled with medians.
+ * @returns {Object} - `{ method, baseline, contributions: [{ feature, value,
+ *   contribution, direction, imputed }] }`, largest effect first.
+ */
+function buildExplanation(method, contributions, features, imputedFields) {
+  return {
+    method,
+    baseline: 'median',
+    contributions: FEATURES
+      .filter(feature => Number.isFinite(contributions[feature]))
+      .map(feature => ({
+        feature,
+        value: features[feature],
+        contribution: round(contributions[feature]),
+        direction: direction(contributions[feature]),
+        imputed: imputedFields.includes(feature),
+      }))
+      .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution)),
+  };
+}
+
+/**
+ * Reads contributions sent by the prediction service. Each model may return
+ * `contributions: { [feature]: number }` in percentage points (e.g. SHAP
+ * values); contributions of several models are averaged.
+ * @param {Object} models - Engine response.
+ * @returns {Object|null} - `{ [feature]: number }`, or null if none were sent.
+ */
+function fromEngineResponse(models) {
+  const provided = Object.values(models)
+    .map(result => result && result.contributions)
+    .filter(contributions => contributions && typeof contributions === 'object');
+  if (provided.length === 0) return null;
+
+  const averaged = {};
+  FEATURES.forEach(feature => {
+    const values = provided.map(contributions => Number(contributions[feature])).filter(Number.isFinite);
+    if (values.length > 0) {
+      averaged[feature] = values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+  });
+  return Object.keys(averaged).length > 0 ? averaged : null;
+}
+
+/**
+ * Perturbation-based explanation: each feature is replaced in turn by its
+ * training median and the engine is queried again. The contribution is how
+ * much the combined precentage drops (or rises) without the patient's value.
+ * The queries run in parallel and must all finish within
+ * EXPLANATION_TIMEOUT_MS; on timeout or the first failure the remaining
+ * queries are cancelled.
+ * @param {string} engine - Engine that made the prediction.
+ * @param {Object} features - Features the prediction used.
+ * @param {number} precentage - Combined precentage of the prediction.
+ * @param {Object} strategyConfig - Combination strategy used.
+ * @returns {Promise<Object>} - `{ [feature]: number }`.
+ */
+async function byPerturbation(engine, features, precentage, strategyConfig) {
+  const predictor = predictionService.getEngine(engine);
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new Error(`Perturbation queries timed out after ${PERTURBATION_TIMEOUT_MS} ms`));
+  }, PERTURBATION_TIMEOUT_MS);
+
+  const perturbations = FEATURES.map(async (feature) => {
+    const median = predictionService.FEATURE_MEDIANS[feature];
+    if (features[feature] === median) return [feature, 0];
+    const models = await predictor.predict({ ...features, [feature]: median }, { signal: controller.signal });
+    const perturbed = ensembleService.combine(models, strategyConfig);
+    return [feature, precentage - perturbed.precentage];
+  });
+
+  try {
+    return Object.fromEntries(await Promise.race([Promise.all(perturbations), whenAborted(controller.signal)]));
+  } finally {
+    clearTimeout(timer);
+    // Cancels queries still running after a failure
+    controller.abort();
+  }
+}
+
+/**
+ * Explains which features pushed a prediction up or down. Uses the
+ * contributions returned by the prediction service when present, otherwise
+ * the perturbation method against the same engine.
+ *
+ * EXPLANATION_METHOD: "auto" (default), "perturbation" (ignore service
+ * contributions) or "none".
+ *
+ * @param {Object} prediction - `{ engine, models, imputedFields }` from
+ *   predictionService.predict.
+ * @param {Object} patientData - Parsed patient data.
+ * @param {Object} combined - Combined result (`precentage`).
+ * @param {Object} strategyConfig - Combination strategy used.
+ * @returns {Promise<Object|null>} - The explanation, or null when disabled or
+ *   the engine could not be re-queried (the prediction itself still stands).
+ */
+async function explain({ engine, models, imputedFields }, patientData, combined, strategyConfig) {
+  const mode = process.env.EXPLANATION_METHOD || 'auto';
+  if (mode === 'none') return null;
+
+  const imputed = predictionService.imputeFeatures(patientData).features;
+  const features = {};
+  FEATURES.forEach(feature => { features[feature] = imputed[feature]; });
+
+  const provided = mode === 'auto' ? fromEngineResponse(models) : null;
+  if (provided) {
+    return buildExplanation('remote', provided, features, imputedFields);
+  }
+
+  try {
+    const contributions = await byPerturbation(engine, features, combined.precentage, strategyConfig);
+    return buildExplanation('perturbation', contributions, features, imputedFields);
+  } catch (error) {
+    console.warn(`⚠️ Could not compute prediction explanation: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = { buildExplanation, fromEngineResponse, byPerturbation, explain };
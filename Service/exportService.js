@@ -0,0 +1,308 @@
+const { PrismaClient } = require('@prisma/client');
+const ExcelJS = require('exceljs');
+const { once } = require('events');
+const { PassThrough } = require('stream');
+
+const prisma = new PrismaClient();
+
+const CHUNK_SIZE = parseInt(process.env.EXPORT_CHUNK_SIZE, 10) || 1000;
+
+const formatDate = (value) => (value ? new Date(value).toISOString() : '');
+
+// Exportable columns; `owner*` columns are read from the patient's user
+const EXPORT_COLUMNS = {
+  Id: { header: 'ID', width: 10 },
+  name: { header: 'Name', width: 20 },
+  Age: { header: 'Age', width: 10 },
+  BMI: { header: 'BMI', width: 10 },
+  Insulin: { header: 'Insulin', width: 10 },
+  Pregnancies: { header: 'Pregnancies', width: 12 },
+  Glucose: { header: 'Glucose', width: 10 },
+  BloodPressure: { header: 'Blood Pressure', width: 15 },
+  SkinThickness: { header: 'Skin Thickness', width: 15 },
+  DiabetesPedigreeFunction: { header: 'Diabetes Pedigree', width: 15 },
+  prediction: { header: 'Prediction', width: 12 },
+  precentage: { header: 'Precentage', width: 10 }, // Preserve spelling
+  riskLevel: { header: 'Risk Level', width: 12 },
+  recommendation: { header: 'Recommendation', width: 40 },
+  engine: { header: 'Engine', width: 10 },
+  strategy: { header: 'Strategy', width: 10 },
+  CreatedAt: { header: 'Created At', width: 22, value: patient => formatDate(patient.CreatedAt) },
+  UpdatedAt: { header: 'Updated At', width: 22, value: patient => formatDate(patient.UpdatedAt) },
+  ownerId: { header: 'Owner ID', width: 38, value: patient => patient.user?.id ?? patient.userId },
+  ownerName: { header: 'Owner Name', width: 20, value: patient => patient.user?.name ?? '' },
+  ownerEmail: { header: 'Owner Email', width: 28, value: patient => patient.user?.email ?? '' },
+};
+
+const DEFAULT_COLUMNS = [
+  'Id', 'name', 'Age', 'BMI', 'Insulin', 'Pregnancies', 'Glucose', 'BloodPressure',
+  'SkinThickness', 'DiabetesPedigreeFunction', 'prediction', 'precentage', 'riskLevel',
+  'recommendation', 'CreatedAt', 'ownerId', 'ownerName', 'ownerEmail',
+];
+
+/**
+ * Parses the `columns` query parameter (comma-separated).
+ * @param {string} [columns] - e.g. "Id,name,riskLevel".
+ * @returns {Array<string>} - Column keys, DEFAULT_COLUMNS when omitted.
+ */
+function parseColumns(columns) {
+  if (!columns) return DEFAULT_COLUMNS;
+
+  const keys = String(columns).split(',').map(column => column.trim()).filter(Boolean);
+  const invalid = keys.filter(key => !EXPORT_COLUMNS[key]);
+  if (keys.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid columns: ${invalid.join(', ') || columns}. Allowed values: ${Object.keys(EXPORT_COLUMNS).join(', ')}`);
+  }
+  return [...new Set(keys)];
+}
+
+const toRecord = (item, columns, definitions = EXPORT_COLUMNS) => {
+  const record = {};
+  columns.forEach(key => {
+    const column = definitions[key];
+    record[key] = column.value ? column.value(item) : item[key];
+  });
+  return record;
+};
+
+// Audit log export; headers keep the field paths of the earlier CSV
+const snapshot = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+const AUDIT_COLUMNS = {
+  createdAt: { header: 'createdAt', width: 22, value: log => formatDate(log.createdAt) },
+  actionType: { header: 'actionType', width: 18 },
+  action: { header: 'action', width: 40 },
+  userId: { header: 'userId', width: 38 },
+  userEmail: { header: 'user.email', width: 28, value: log => log.user?.email ?? '' },
+  targetType: { header: 'targetType', width: 14 },
+  targetId: { header: 'targetId', width: 38 },
+  ipAddress: { header: 'ipAddress', width: 16 },
+  userAgent: { header: 'userAgent', width: 30 },
+  before: { header: 'before', width: 40, value: log => snapshot(log.before) },
+  after: { header: 'after', width: 40, value: log => snapshot(log.after) },
+  details: { header: 'details', width: 40 },
+};
+
+/**
+ * Yields matching patients in Id order, one chunk at a time, so memory use
+ * stays flat however many rows match.
+ * @param {Object} where - Prisma where clause.
+ * @param {Array<string>} columns - Column keys being exported.
+ */
+async function* iteratePatients(where, columns) {
+  const select = { Id: true, userId: true };
+  columns.filter(key => !key.startsWith('owner')).forEach(key => { select[key] = true; });
+  if (columns.some(key => key.startsWith('owner'))) {
+    select.user = { select: { id: true, name: true, email: true } };
+  }
+
+  let cursor;
+  while (true) {
+    const chunk = await prisma.patient.findMany({
+      where,
+      select,
+      orderBy: { Id: 'asc' },
+      take: CHUNK_SIZE,
+      ...(cursor !== undefined ? { cursor: { Id: cursor }, skip: 1 } : {}),
+    });
+    if (chunk.length === 0) return;
+
+    yield chunk;
+    if (chunk.length < CHUNK_SIZE) return;
+    cursor = chunk[chunk.length - 1].Id;
+  }
+}
+
+/**
+ * Yields matching audit log entries, newest first, one chunk at a time.
+ * @param {Object} where - Prisma where clause.
+ */
+async function* iterateAuditLogs(where) {
+  let cursor;
+  while (true) {
+    const chunk = await prisma.auditLog.findMany({
+      where,
+      include: { user: { select: { email: true } } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: CHUNK_SIZE,
+      ...(cursor !== undefined ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (chunk.length === 0) return;
+
+    yield chunk;
+    if (chunk.length < CHUNK_SIZE) return;
+    cursor = chunk[chunk.length - 1].id;
+  }
+}
+
+const OUTPUT_CLOSED = 'Export output closed before the export finished';
+
+// Writes to the response, waiting for it to drain when its buffer is full.
+// Throws once the output is closed (client disconnected), which ends the
+// patient iteration instead of waiting for a 'drain' that never comes
+const write = async (output, data) => {
+  if (output.destroyed) throw new Error(OUTPUT_CLOSED);
+  if (output.write(data)) return;
+
+  await new Promise((resolve, reject) => {
+    const settle = (error) => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new Error(OUTPUT_CLOSED));
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', settle);
+  });
+};
+
+// Spreadsheet apps run cells starting with these as formulas; a leading
+// quote makes them plain text
+const neutralizeFormula = (value) =>
+  (typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+const delimited = (separator) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(neutralizeFormula(value));
+    if (separator === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const line = (values) => `${values.map(escape).join(separator)}\n`;
+
+  return async (rows, columns, output, definitions = EXPORT_COLUMNS) => {
+    await write(output, line(columns.map(key => definitions[key].header)));
+    for await (const chunk of rows) {
+      await write(output, chunk.map(item => line(Object.values(toRecord(item, columns, definitions)))).join(''));
+    }
+    output.end();
+  };
+};
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    write: delimited(','),
+  },
+  tsv: {
+    contentType: 'text/tab-separated-values',
+    extension: 'tsv',
+    write: delimited('\t'),
+  },
+  json: {
+    contentType: 'application/json',
+    extension: 'json',
+    write: async (rows, columns, output, definitions = EXPORT_COLUMNS) => {
+      let first = true;
+      await write(output, '[');
+      for await (const chunk of rows) {
+        const body = chunk.map(item => JSON.stringify(toRecord(item, columns, definitions))).join(',');
+        await write(output, first ? body : `,${body}`);
+        first = false;
+      }
+      await write(output, ']');
+      output.end();
+    },
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson',
+    extension: 'ndjson',
+    write: async (rows, columns, output, definitions = EXPORT_COLUMNS) => {
+      for await (const chunk of rows) {
+        await write(output, chunk.map(item => `${JSON.stringify(toRecord(item, columns, definitions))}\n`).join(''));
+      }
+      output.end();
+    },
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    write: async (rows, columns, output, definitions = EXPORT_COLUMNS) => {
+      // Streaming writer: committed rows are flushed and not kept in memory
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output });
+      const worksheet = workbook.addWorksheet(definitions === AUDIT_COLUMNS ? 'Audit log' : 'Patients');
+      worksheet.columns = columns.map(key => ({ header: definitions[key].header, key, width: definitions[key].width }));
+
+      for await (const chunk of rows) {
+        if (output.destroyed) throw new Error(OUTPUT_CLOSED);
+        chunk.forEach(item => {
+          const record = toRecord(item, columns, definitions);
+          Object.keys(record).forEach(key => { record[key] = neutralizeFormula(record[key]); });
+          worksheet.addRow(record).commit();
+        });
+      }
+      worksheet.commit();
+      await workbook.commit();
+    },
+  },
+};
+
+// Older clients call /export/excel
+const FORMAT_ALIASES = { excel: 'xlsx' };
+
+/**
+ * Resolves a format name from the URL.
+ * @param {string} format - e.g. "csv", "ndjson", "excel".
+ * @returns {string|null} - Key of FORMATS, or null if unsupported.
+ */
+function resolveFormat(format) {
+  const key = String(format || '').toLowerCase();
+  const resolved = FORMAT_ALIASES[key] || key;
+  return FORMATS[resolved] ? resolved : null;
+}
+
+/**
+ * Streams matching patients to `output` in the given format. An empty result
+ * produces an empty file (header row only for tabular formats).
+ * @param {string} format - Key of FORMATS.
+ * @param {Object} options - `{ where, columns }`.
+ * @param {stream.Writable} output - Destination, usually the response.
+ */
+async function streamPatients(format, { where, columns }, output) {
+  await FORMATS[format].write(iteratePatients(where, columns), columns, output);
+}
+
+/**
+ * Streams matching audit log entries to `output`, newest first.
+ * @param {string} format - Key of FORMATS.
+ * @param {Object} options - `{ where }`.
+ * @param {stream.Writable} output - Destination, usually the response.
+ */
+async function streamAuditLogs(format, { where }, output) {
+  await FORMATS[format].write(iterateAuditLogs(where), Object.keys(AUDIT_COLUMNS), output, AUDIT_COLUMNS);
+}
+
+/**
+ * Exports matching patients into memory, e.g. for an email attachment.
+ * Meant for bounded selections; use streamPatients for full exports.
+ * @param {string} format - Key of FORMATS.
+ * @param {Object} options - `{ where, columns }`.
+ * @returns {Promise<Buffer>}
+ */
+async function exportToBuffer(format, options) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const ended = once(output, 'end');
+  await streamPatients(format, options, output);
+  if (!output.writableEnded) output.end();
+  await ended;
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_COLUMNS,
+  AUDIT_COLUMNS,
+  FORMATS,
+  parseColumns,
+  resolveFormat,
+  neutralizeFormula,
+  streamPatients,
+  streamAuditLogs,
+  exportToBuffer,
+};
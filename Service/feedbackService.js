@@ -0,0 +1,277 @@
+const { PrismaClient } = require('@prisma/client');
+const { PERMISSIONS, hasPermission } = require('../middleware/permissions');
+const emailService = require('./emailService');
+
+const prisma = new PrismaClient();
+
+// "other" holds feedback submitted before categories existed
+const FEEDBACK_CATEGORIES = ['bug', 'accuracy', 'usability', 'feature', 'other'];
+const FEEDBACK_STATUSES = ['new', 'in-review', 'resolved'];
+
+const MAX_MESSAGE_LENGTH = 5000;
+
+const FEEDBACK_INCLUDE = {
+  user: { select: { id: true, name: true, email: true } },
+  patient: { select: { Id: true, name: true, riskLevel: true, precentage: true } },
+  replies: {
+    orderBy: { createdAt: 'asc' },
+    include: { author: { select: { id: true, name: true } } },
+  },
+};
+
+const parseId = (value, label) => {
+  if (value === undefined || value === null || value === '') return null;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw new Error(`Invalid ${label}`);
+  return id;
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`Invalid ${label} date format`);
+  return date;
+};
+
+const parseList = (value, allowed, label) => {
+  const values = String(value).split(',').map(item => item.trim());
+  const invalid = values.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) throw new Error(`Invalid ${label} filter value: ${invalid.join(', ')}`);
+  return values;
+};
+
+const validateMessage = (message, label) => {
+  if (typeof message !== 'string' || !message.trim()) throw new Error(`${label} is required`);
+  if (message.length > MAX_MESSAGE_LENGTH) throw new Error(`${label} must be at most ${MAX_MESSAGE_LENGTH} characters`);
+  return message.trim();
+};
+
+/**
+ * Validates a feedback submission. A prediction is referenced by
+ * `patientId` and/or `assessmentId`; the submitter must be allowed to read
+ * that patient.
+ * @param {Object} user - `{ userId, role }` from the token.
+ * @param {Object} input - `{ message, category, rating, patientId, assessmentId }`.
+ * @returns {Promise<Object>} - Prisma data for the new feedback.
+ */
+async function validateFeedback(user, input = {}) {
+  const message = validateMessage(input.message, 'Feedback message');
+
+  const category = input.category === undefined ? 'other' : input.category;
+  if (!FEEDBACK_CATEGORIES.includes(category)) {
+    throw new Error(`category must be one of: ${FEEDBACK_CATEGORIES.join(', ')}`);
+  }
+
+  let rating = null;
+  if (input.rating !== undefined && input.rating !== null && input.rating !== '') {
+    rating = Number(input.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      throw new Error('rating must be a whole number from 1 to 5');
+    }
+  }
+
+  let patientId = parseId(input.patientId, 'patientId');
+  const assessmentId = parseId(input.assessmentId, 'assessmentId');
+
+  if (assessmentId) {
+    const assessment = await prisma.assessment.findUnique({ where: { id: assessmentId }, select: { patientId: true } });
+    if (!assessment || (patientId && assessment.patientId !== patientId)) {
+      throw new Error('Prediction not found');
+    }
+    patientId = assessment.patientId;
+  }
+
+  if (patientId) {
+    const where = { Id: patientId, deletedAt: null };
+    if (!hasPermission(user.role, PERMISSIONS.PATIENTS_READ_ANY)) where.userId = user.userId;
+    const patient = await prisma.patient.findFirst({ where, select: { Id: true } });
+    if (!patient) throw new Error('Prediction not found');
+  }
+
+  return { message, category, rating, patientId, assessmentId };
+}
+
+/**
+ * Stores feedback from a user.
+ * @param {Object} user - `{ userId, role }` from the token.
+ * @param {Object} input - See validateFeedback.
+ * @returns {Promise<Object>} - The created feedback.
+ */
+async function createFeedback(user, input) {
+  const data = await validateFeedback(user, input);
+  return prisma.feedback.create({ data: { ...data, userId: user.userId } });
+}
+
+/**
+ * Builds a Prisma `where` clause for feedback from query-string filters.
+ *
+ * Supported filters: category and status (comma-separated), rating,
+ * ratingMin/ratingMax, userId, patientId, dateFrom/dateTo (createdAt) and
+ * search (message contains, case-insensitive).
+ *
+ * @param {Object} query - Express `req.query`.
+ * @returns {Object} - Prisma where clause.
+ */
+function buildFeedbackFilters(query = {}) {
+  const { category, status, rating, ratingMin, ratingMax, userId, patientId, dateFrom, dateTo, search } = query;
+  const filters = {};
+
+  if (category) filters.category = { in: parseList(category, FEEDBACK_CATEGORIES, 'category') };
+  if (status) filters.status = { in: parseList(status, FEEDBACK_STATUSES, 'status') };
+
+  if ([rating, ratingMin, ratingMax].some(value => value && !Number.isInteger(Number(value)))) {
+    throw new Error('Invalid rating filter value');
+  }
+  if (rating) {
+    filters.rating = Number(rating);
+  } else if (ratingMin || ratingMax) {
+    filters.rating = {};
+    if (ratingMin) filters.rating.gte = Number(ratingMin);
+    if (ratingMax) filters.rating.lte = Number(ratingMax);
+  }
+
+  if (userId) filters.userId = String(userId);
+  if (patientId) filters.patientId = parseId(patientId, 'patientId');
+
+  if (dateFrom || dateTo) {
+    filters.createdAt = {};
+    if (dateFrom) filters.createdAt.gte = parseDate(dateFrom, 'start');
+    if (dateTo) filters.createdAt.lte = parseDate(dateTo, 'end');
+  }
+
+  if (search) filters.message = { contains: String(search), mode: 'insensitive' };
+
+  return filters;
+}
+
+/**
+ * Lists feedback, newest first.
+ * @param {Object} where - From buildFeedbackFilters.
+ * @param {Object} pagination - `{ page, limit }`.
+ * @returns {Promise<Object>} - `{ data, meta }`.
+ */
+async function listFeedback(where, { page, limit }) {
+  const [feedbacks, total] = await Promise.all([
+    prisma.feedback.findMany({
+      where,
+      include: FEEDBACK_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.feedback.count({ where }),
+  ]);
+  return { data: feedbacks, meta: { page, limit, total, totalPages: Math.ceil(total / limit) } };
+}
+
+/**
+ * Counts feedback by category and status (every category and status is
+ * listed, with 0 when empty), plus the average rating.
+ * @param {Object} where - From buildFeedbackFilters.
+ * @returns {Promise<Object>} - `{ total, averageRating, byCategory, byStatus }`.
+ */
+async function countFeedback(where) {
+  const [groups, aggregate] = await Promise.all([
+    prisma.feedback.groupBy({ by: ['category', 'status'], where, _count: { _all: true } }),
+    prisma.feedback.aggregate({ where, _avg: { rating: true }, _count: { _all: true } }),
+  ]);
+
+  const byCategory = Object.fromEntries(FEEDBACK_CATEGORIES.map(category => [category, 0]));
+  const byStatus = Object.fromEntries(FEEDBACK_STATUSES.map(status => [status, 0]));
+  groups.forEach(group => {
+    byCategory[group.category] = (byCategory[group.category] || 0) + group._count._all;
+    byStatus[group.status] = (byStatus[group.status] || 0) + group._count._all;
+  });
+
+  const average = aggregate._avg.rating;
+  return {
+    total: aggregate._count._all,
+    averageRating: average === null ? null : Math.round(average * 100) / 100,
+    byCategory,
+    byStatus,
+  };
+}
+
+async function getFeedback(id) {
+  return prisma.feedback.findUnique({ where: { id }, include: FEEDBACK_INCLUDE });
+}
+
+// resolvedAt follows the status so "time to resolve" can be reported
+const statusData = (status) => {
+  if (!FEEDBACK_STATUSES.includes(status)) {
+    throw new Error(`status must be one of: ${FEEDBACK_STATUSES.join(', ')}`);
+  }
+  return { status, resolvedAt: status === 'resolved' ? new Date() : null };
+};
+
+/**
+ * Moves feedback through the workflow (new, in-review, resolved).
+ * @param {number} id - Feedback id.
+ * @param {string} status - New status.
+ * @returns {Promise<Object>} - The updated feedback.
+ */
+async function updateStatus(id, status) {
+  const data = statusData(status);
+  const feedback = await prisma.feedback.findUnique({ where: { id } });
+  if (!feedback) throw new Error('Feedback not found');
+  return prisma.feedback.update({ where: { id }, data, include: FEEDBACK_INCLUDE });
+}
+
+/**
+ * Adds an admin reply, optionally changing the status in the same step, and
+ * emails it to the submitter. A new feedback moves to "in-review" unless
+ * another status is given.
+ * @param {number} id - Feedback id.
+ * @param {string} authorId - Replying admin.
+ * @param {Object} input - `{ message, status }`.
+ * @returns {Promise<Object>} - The updated feedback with its replies.
+ */
+async function addReply(id, authorId, { message, status } = {}) {
+  const reply = validateMessage(message, 'Reply message');
+  const feedback = await prisma.feedback.findUnique({ where: { id }, include: { user: true } });
+  if (!feedback) throw new Error('Feedback not found');
+
+  const nextStatus = status || (feedback.status === 'new' ? 'in-review' : feedback.status);
+  const data = nextStatus !== feedback.status ? statusData(nextStatus) : {};
+
+  const updated = await prisma.feedback.update({
+    where: { id },
+    data: { ...data, replies: { create: { authorId, message: reply } } },
+    include: FEEDBACK_INCLUDE,
+  });
+
+  await emailService.queueEmail('feedbackReply', feedback.user.email, {
+    name: feedback.user.name,
+    feedbackMessage: feedback.message,
+    reply,
+    status: updated.status,
+  }).catch(error => console.error('Error queueing feedback reply email:', error.message));
+
+  return updated;
+}
+
+/**
+ * Feedback submitted by one user, with the replies they received.
+ */
+async function listOwnFeedback(userId) {
+  return prisma.feedback.findMany({
+    where: { userId },
+    include: {
+      patient: { select: { Id: true, name: true, riskLevel: true, precentage: true } },
+      replies: { orderBy: { createdAt: 'asc' }, include: { author: { select: { name: true } } } },
+    },
+    orderBy: { createdAt: 'desc' },
+  });
+}
+
+module.exports = {
+  FEEDBACK_CATEGORIES,
+  FEEDBACK_STATUSES,
+  createFeedback,
+  buildFeedbackFilters,
+  listFeedback,
+  countFeedback,
+  getFeedback,
+  updateStatus,
+  addReply,
+  listOwnFeedback,
+};
@@ -0,0 +1,259 @@
+// Conversion between patients/assessments and FHIR R4 resources
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const SYSTEM_BASE = process.env.FHIR_SYSTEM_BASE || 'urn:diabetes-prediction';
+const PATIENT_IDENTIFIER_SYSTEM = `${SYSTEM_BASE}:patient-id`;
+// No LOINC code fits the Pima skinfold/pedigree measurements, so they use a local system
+const LOCAL_CODE_SYSTEM = `${SYSTEM_BASE}:measurement`;
+
+// Patient column -> Observation code and unit. `units` lists the accepted
+// UCUM codes on import with the factor converting them to the stored unit.
+const OBSERVATIONS = {
+  Glucose: {
+    system: LOINC, code: '2345-7', display: 'Glucose [Mass/volume] in Serum or Plasma',
+    unit: 'mg/dL', units: { 'mg/dL': 1, 'mmol/L': 18.0182 },
+  },
+  BMI: {
+    system: LOINC, code: '39156-5', display: 'Body mass index (BMI) [Ratio]',
+    unit: 'kg/m2', units: { 'kg/m2': 1 },
+  },
+  BloodPressure: {
+    system: LOINC, code: '8462-4', display: 'Diastolic blood pressure',
+    unit: 'mm[Hg]', units: { 'mm[Hg]': 1 },
+  },
+  Insulin: {
+    system: LOINC, code: '20448-7', display: 'Insulin [Units/volume] in Serum or Plasma',
+    unit: 'u[IU]/mL', units: { 'u[IU]/mL': 1, 'm[IU]/L': 1, 'pmol/L': 1 / 6 },
+  },
+  Pregnancies: {
+    system: LOINC, code: '11996-6', display: '[#] Pregnancies',
+    unit: '{#}', units: { '{#}': 1, '1': 1 }, integer: true,
+  },
+  Age: {
+    system: LOINC, code: '30525-0', display: 'Age',
+    unit: 'a', units: { a: 1 }, integer: true,
+  },
+  SkinThickness: {
+    system: LOCAL_CODE_SYSTEM, code: 'triceps-skinfold', display: 'Triceps skinfold thickness',
+    unit: 'mm', units: { mm: 1, cm: 10 },
+  },
+  DiabetesPedigreeFunction: {
+    system: LOCAL_CODE_SYSTEM, code: 'diabetes-pedigree-function', display: 'Diabetes pedigree function',
+    unit: '1', units: { '1': 1, '{score}': 1 },
+  },
+};
+
+const DATA_ABSENT_REASON = {
+  coding: [{ system: 'http://terminology.hl7.org/CodeSystem/data-absent-reason', code: 'unknown', display: 'Unknown' }],
+};
+
+/**
+ * Builds a FHIR `collection` Bundle for a patient and one of its assessments:
+ * the Patient, one Observation per measurement and a RiskAssessment. Each
+ * entry's fullUrl is `${baseUrl}/<type>/<id>`, so relative references such
+ * as `Patient/12` resolve to it.
+ * @param {Object} patient - Patient record.
+ * @param {Object} assessment - Assessment whose values are exported.
+ * @param {Object} [practitioner] - `{ id, name }` of the assessing user.
+ * @param {string} baseUrl - FHIR base URL of this server.
+ * @returns {Object} - FHIR Bundle.
+ */
+function toBundle(patient, assessment, practitioner, baseUrl) {
+  const fullUrl = (type, id) => `${baseUrl.replace(/\/+$/, '')}/${type}/${id}`;
+  const subject = { reference: `Patient/${patient.Id}`, display: patient.name };
+  const effectiveDateTime = new Date(assessment.createdAt).toISOString();
+  const performer = practitioner ? [{ display: practitioner.name, identifier: { value: practitioner.id } }] : undefined;
+
+  const entries = [{
+    fullUrl: fullUrl('Patient', patient.Id),
+    resource: {
+      resourceType: 'Patient',
+      id: String(patient.Id),
+      identifier: [{ system: PATIENT_IDENTIFIER_SYSTEM, value: String(patient.Id) }],
+      name: [{ text: patient.name }],
+    },
+  }];
+
+  const observationRefs = [];
+  for (const [field, definition] of Object.entries(OBSERVATIONS)) {
+    const id = `${assessment.id}-${definition.code}`;
+    observationRefs.push({ reference: `Observation/${id}` });
+    entries.push({
+      fullUrl: fullUrl('Observation', id),
+      resource: {
+        resourceType: 'Observation',
+        id,
+        status: 'final',
+        code: { coding: [{ system: definition.system, code: definition.code, display: definition.display }] },
+        subject,
+        effectiveDateTime,
+        performer,
+        // Unknown measurements are exported with a dataAbsentReason instead of a value
+        ...(assessment[field] === null || assessment[field] === undefined
+          ? { dataAbsentReason: DATA_ABSENT_REASON }
+          : { valueQuantity: { value: assessment[field], unit: definition.unit, system: UCUM, code: definition.unit } }),
+      },
+    });
+  }
+
+  entries.push({
+    fullUrl: fullUrl('RiskAssessment', assessment.id),
+    resource: {
+      resourceType: 'RiskAssessment',
+      id: String(assessment.id),
+      status: 'final',
+      subject,
+      occurrenceDateTime: effectiveDateTime,
+      performer: performer && performer[0],
+      method: { text: `${assessment.engine} (${assessment.strategy})` },
+      basis: observationRefs,
+      prediction: [{
+        outcome: { text: assessment.prediction ? 'Diabetic' : 'Not Diabetic' },
+        probabilityDecimal: Number((assessment.precentage / 100).toFixed(4)),
+        qualitativeRisk: { text: assessment.riskLevel },
+      }],
+      mitigation: assessment.recommendation || undefined,
+    },
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: entries,
+  };
+}
+
+const resourceLabel = (resource, index) =>
+  `${resource?.resourceType || 'Resource'}/${resource?.id || `entry[${index}]`}`;
+
+const patientName = (resource) => {
+  const [name] = resource.name || [];
+  if (!name) return undefined;
+  return name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') || undefined;
+};
+
+// Whole years between a birth date and now
+const ageFromBirthDate = (birthDate) => {
+  const born = new Date(birthDate);
+  if (isNaN(born)) return undefined;
+  const now = new Date();
+  let age = now.getUTCFullYear() - born.getUTCFullYear();
+  if (now.getUTCMonth() < born.getUTCMonth()
+    || (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() < born.getUTCDate())) age -= 1;
+  return age;
+};
+
+const findObservationField = (coding = []) => {
+  for (const { system, code } of coding) {
+    const field = Object.keys(OBSERVATIONS)
+      .find(key => OBSERVATIONS[key].system === system && OBSERVATIONS[key].code === code);
+    if (field) return field;
+  }
+  return null;
+};
+
+// Reads an Observation's value in the stored unit (null when absent), or throws a message
+const observationValue = (field, observation) => {
+  if (observation.dataAbsentReason && !observation.valueQuantity) return null;
+
+  const quantity = observation.valueQuantity;
+  if (!quantity || typeof quantity.value !== 'number') {
+    throw new Error('valueQuantity.value is required');
+  }
+
+  const definition = OBSERVATIONS[field];
+  const unit = quantity.code || quantity.unit || definition.unit;
+  const factor = definition.units[unit];
+  if (factor === undefined) {
+    throw new Error(`Unsupported unit "${unit}". Allowed values: ${Object.keys(definition.units).join(', ')}`);
+  }
+
+  const value = quantity.value * factor;
+  return definition.integer ? Math.round(value) : value;
+};
+
+/**
+ * Reads the patients in a FHIR Bundle into predict request bodies. Each
+ * Patient gathers the Observations whose `subject` points at it. Problems are
+ * collected per resource; a Patient with any error is not returned.
+ * Observations with codes the models do not use (e.g. systolic blood
+ * pressure) are skipped and reported as warnings.
+ * @param {Object} bundle - FHIR Bundle.
+ * @returns {Object} - `{ patients: [{ resource, input }], errors, warnings }`,
+ *   both lists of `{ resource, index, message }`.
+ */
+function parseBundle(bundle) {
+  if (!bundle || bundle.resourceType !== 'Bundle' || !Array.isArray(bundle.entry)) {
+    throw new Error('Request body must be a FHIR Bundle with an entry array');
+  }
+
+  const errors = [];
+  const warnings = [];
+  const patients = new Map(); // reference -> { resource, index, input, failed }
+
+  bundle.entry.forEach((entry, index) => {
+    const { fullUrl, resource } = entry || {};
+    if (resource?.resourceType !== 'Patient') return;
+
+    const patient = { resource: resourceLabel(resource, index), index, input: { name: patientName(resource) }, failed: false };
+    if (resource.birthDate) patient.input.Age = ageFromBirthDate(resource.birthDate);
+
+    if (fullUrl) patients.set(fullUrl, patient);
+    if (resource.id) patients.set(`Patient/${resource.id}`, patient);
+    if (!fullUrl && !resource.id) {
+      errors.push({ resource: patient.resource, index, message: 'Patient needs a fullUrl or id so Observations can reference it' });
+    }
+  });
+
+  if (patients.size === 0 && errors.length === 0) {
+    errors.push({ resource: 'Bundle', index: null, message: 'The Bundle contains no Patient resources' });
+  }
+
+  bundle.entry.forEach((entry, index) => {
+    const { resource } = entry || {};
+    const label = resourceLabel(resource, index);
+    if (!resource?.resourceType) {
+      errors.push({ resource: label, index, message: 'Entry has no resource' });
+      return;
+    }
+    // RiskAssessments are recomputed on import; other types are not used
+    if (resource.resourceType !== 'Observation') return;
+
+    const patient = patients.get(resource.subject?.reference);
+    if (!patient) {
+      errors.push({ resource: label, index, message: 'subject does not reference a Patient in this Bundle' });
+      return;
+    }
+
+    const field = findObservationField(resource.code?.coding);
+    if (!field) {
+      const codes = (resource.code?.coding || []).map(coding => coding.code).filter(Boolean).join(', ');
+      warnings.push({ resource: label, index, message: `Skipped Observation with unsupported code${codes ? ` ${codes}` : ''}` });
+      return;
+    }
+
+    try {
+      patient.input[field] = observationValue(field, resource);
+    } catch (error) {
+      errors.push({ resource: label, index, message: error.message });
+      patient.failed = true;
+    }
+  });
+
+  const parsed = [];
+  for (const patient of new Set(patients.values())) {
+    // Measurements without an Observation are unknown; parsePatientData
+    // reports the ones that are required
+    if (patient.failed) {
+      errors.push({ resource: patient.resource, index: patient.index, message: 'Not imported because of errors in its Observations' });
+    } else {
+      parsed.push({ resource: patient.resource, input: patient.input });
+    }
+  }
+
+  return { patients: parsed, errors, warnings };
+}
+
+module.exports = { OBSERVATIONS, PATIENT_IDENTIFIER_SYSTEM, toBundle, parseBundle };
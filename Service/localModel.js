@@ -0,0 +1,49 @@
+/**
+ * Built-in logistic-regression model used when the Python prediction
+ * service is unavailable. Coefficients were fitted on the Pima Indians
+ * Diabetes dataset using the same eight features the Python service expects.
+ */
+
+const MODEL_NAME = 'logistic_regression_js';
+
+const INTERCEPT = -8.4047;
+
+const COEFFICIENTS = {
+  Pregnancies: 0.1232,
+  Glucose: 0.0352,
+  BloodPressure: -0.0133,
+  SkinThickness: 0.0006,
+  Insulin: -0.0012,
+  BMI: 0.0897,
+  DiabetesPedigreeFunction: 0.9452,
+  Age: 0.0149,
+};
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+/**
+ * Scores a single patient.
+ * @param {Object} features - The eight Pima features (Glucose, BMI, Age, ...).
+ * @returns {Object} - `{ [MODEL_NAME]: { prediction, precentage } }`, matching the Python service's shape.
+ */
+function predict(features) {
+  let z = INTERCEPT;
+  for (const [feature, weight] of Object.entries(COEFFICIENTS)) {
+    const value = Number(features[feature]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid value for feature: ${feature}`);
+    }
+    z += weight * value;
+  }
+
+  const probability = sigmoid(z);
+
+  return {
+    [MODEL_NAME]: {
+      prediction: probability >= 0.5,
+      precentage: Math.round(probability * 10000) / 100,
+    },
+  };
+}
+
+module.exports = { MODEL_NAME, COEFFICIENTS, predict };
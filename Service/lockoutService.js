@@ -0,0 +1,115 @@
+const { PrismaClient } = require("@prisma/client");
+const auditService = require("./auditService");
+
+const prisma = new PrismaClient();
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOCKOUT_MAX_ATTEMPTS, 10) || 5;
+const BASE_LOCKOUT_MINUTES = parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+/**
+ * Whether the account is currently locked.
+ * @param {Object} user - User with `lockedUntil`.
+ * @returns {boolean}
+ */
+const isLocked = (user) => Boolean(user.lockedUntil && user.lockedUntil > new Date());
+
+/**
+ * Records a failed login. After MAX_FAILED_ATTEMPTS consecutive failures the
+ * account is locked; each further lockout doubles the duration (capped at 24h).
+ * The counter is incremented in the database, so parallel attempts each count.
+ * @param {Object} user - User record.
+ * @param {Object} [req] - Express request, for the audit entry.
+ * @returns {Promise<Object>} - `{ locked, lockedUntil }`.
+ */
+const registerFailedLogin = async (user, req) => {
+  const { failedLoginAttempts: attempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 } },
+    select: { failedLoginAttempts: true },
+  });
+  if (attempts < MAX_FAILED_ATTEMPTS) {
+    return { locked: false, lockedUntil: null };
+  }
+
+  // Only the request that claims the counter applies the lockout
+  const lock = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.user.updateMany({
+      where: { id: user.id, failedLoginAttempts: { gte: MAX_FAILED_ATTEMPTS } },
+      data: { failedLoginAttempts: 0, lockoutCount: { increment: 1 } },
+    });
+    if (count === 0) return null;
+
+    const { lockoutCount } = await tx.user.findUnique({ where: { id: user.id }, select: { lockoutCount: true } });
+    const minutes = Math.min(BASE_LOCKOUT_MINUTES * 2 ** (lockoutCount - 1), MAX_LOCKOUT_MINUTES);
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await tx.user.update({ where: { id: user.id }, data: { lockedUntil } });
+    return { lockoutCount, minutes, lockedUntil };
+  });
+  if (!lock) {
+    const { lockedUntil } = await prisma.user.findUnique({ where: { id: user.id }, select: { lockedUntil: true } });
+    return { locked: true, lockedUntil };
+  }
+
+  const { lockoutCount, minutes, lockedUntil } = lock;
+
+  await auditService.record({
+    userId: user.id,
+    action: `Account locked for ${minutes} minutes after ${attempts} failed logins`,
+    actionType: auditService.AUDIT_ACTIONS.ACCOUNT_LOCKED,
+    targetType: "User",
+    targetId: user.id,
+    after: { lockedUntil, lockoutCount },
+  }, req);
+
+  return { locked: true, lockedUntil };
+};
+
+/**
+ * Clears failure counters after a successful login.
+ * @param {Object} user - User record.
+ */
+const resetFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null },
+  });
+};
+
+/**
+ * Unlocks an account on behalf of an admin.
+ * @param {string} userId - Account to unlock.
+ * @param {string} adminId - Admin performing the unlock.
+ * @param {Object} [req] - Express request, for the audit entry.
+ * @returns {Promise<Object|null>} - The updated user, or null if not found.
+ */
+const unlockUser = async (userId, adminId, req) => {
+  const user = await prisma.user.findFirst({ where: { id: userId, deletedAt: null } });
+  if (!user) return null;
+
+  const updated = await prisma.user.update({
+    where: { id: userId },
+    data: { failedLoginAttempts: 0, lockoutCount: 0, lockedUntil: null },
+    select: { id: true, email: true, name: true, lockedUntil: true },
+  });
+
+  await auditService.record({
+    userId: adminId,
+    action: `Unlocked account ${user.email}`,
+    actionType: auditService.AUDIT_ACTIONS.ACCOUNT_UNLOCKED,
+    targetType: "User",
+    targetId: userId,
+    before: { lockedUntil: user.lockedUntil, lockoutCount: user.lockoutCount },
+  }, req);
+
+  return updated;
+};
+
+module.exports = {
+  MAX_FAILED_ATTEMPTS,
+  isLocked,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockUser,
+};
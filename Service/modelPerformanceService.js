@@ -0,0 +1,247 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const CALIBRATION_BUCKETS = 10;
+const ASSESSMENT_CHUNK_SIZE = 1000;
+
+const round = (value) => (value === null || !Number.isFinite(value) ? null : Math.round(value * 10000) / 10000);
+
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+
+/**
+ * Area under the ROC curve, computed as the probability that a random
+ * positive scores higher than a random negative (ties count half).
+ * @param {Array<Object>} samples - `[{ actual, probability }]`.
+ * @returns {number|null} - null unless both classes are present.
+ */
+function areaUnderCurve(samples) {
+  const positives = samples.filter(sample => sample.actual).length;
+  const negatives = samples.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Average ranks, ascending by probability
+  const sorted = [...samples].sort((a, b) => a.probability - b.probability);
+  let positiveRankSum = 0;
+  for (let start = 0; start < sorted.length;) {
+    let end = start;
+    while (end + 1 < sorted.length && sorted[end + 1].probability === sorted[start].probability) end += 1;
+    const averageRank = (start + end) / 2 + 1;
+    for (let index = start; index <= end; index++) {
+      if (sorted[index].actual) positiveRankSum += averageRank;
+    }
+    start = end + 1;
+  }
+
+  return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+}
+
+/**
+ * ROC curve sampled at every whole precentage (0-100) used as the cut-off.
+ * @param {Array<Object>} samples - `[{ actual, probability }]`.
+ * @returns {Array<Object>} - `[{ threshold, tpr, fpr }]`.
+ */
+function rocCurve(samples) {
+  const positives = samples.filter(sample => sample.actual).length;
+  const negatives = samples.length - positives;
+  if (positives === 0 || negatives === 0) return [];
+
+  const points = [];
+  for (let threshold = 0; threshold <= 100; threshold++) {
+    const flagged = samples.filter(sample => sample.probability * 100 >= threshold);
+    const truePositives = flagged.filter(sample => sample.actual).length;
+    points.push({
+      threshold,
+      tpr: round(truePositives / positives),
+      fpr: round((flagged.length - truePositives) / negatives),
+    });
+  }
+  return points;
+}
+
+/**
+ * Groups predictions into equal-width precentage buckets and compares the
+ * mean predicted probability with the observed diabetes rate.
+ * @param {Array<Object>} samples - `[{ actual, probability }]`.
+ * @returns {Array<Object>} - `[{ from, to, count, meanPredicted, observedRate }]`.
+ */
+function calibration(samples) {
+  const width = 100 / CALIBRATION_BUCKETS;
+  const buckets = Array.from({ length: CALIBRATION_BUCKETS }, (_, index) => ({
+    from: index * width,
+    to: (index + 1) * width,
+    count: 0,
+    predictedSum: 0,
+    positives: 0,
+  }));
+
+  samples.forEach(sample => {
+    const index = Math.min(Math.floor((sample.probability * 100) / width), CALIBRATION_BUCKETS - 1);
+    const bucket = buckets[index];
+    bucket.count += 1;
+    bucket.predictedSum += sample.probability;
+    if (sample.actual) bucket.positives += 1;
+  });
+
+  return buckets.map(({ from, to, count, predictedSum, positives }) => ({
+    from,
+    to,
+    count,
+    meanPredicted: round(ratio(predictedSum, count)),
+    observedRate: round(ratio(positives, count)),
+  }));
+}
+
+/**
+ * Computes classification metrics for labelled predictions.
+ * @param {Array<Object>} samples - `[{ actual, predicted, probability }]`,
+ *   with `probability` between 0 and 1.
+ * @returns {Object} - `{ count, positives, negatives, confusionMatrix,
+ *   accuracy, precision, recall, specificity, f1, auc, roc, calibration }`.
+ */
+function evaluate(samples) {
+  const matrix = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+  samples.forEach(({ actual, predicted }) => {
+    if (actual && predicted) matrix.truePositive += 1;
+    else if (!actual && predicted) matrix.falsePositive += 1;
+    else if (!actual && !predicted) matrix.trueNegative += 1;
+    else matrix.falseNegative += 1;
+  });
+
+  const { truePositive, falsePositive, trueNegative, falseNegative } = matrix;
+  const precision = ratio(truePositive, truePositive + falsePositive);
+  const recall = ratio(truePositive, truePositive + falseNegative);
+
+  return {
+    count: samples.length,
+    positives: truePositive + falseNegative,
+    negatives: trueNegative + falsePositive,
+    confusionMatrix: matrix,
+    accuracy: round(ratio(truePositive + trueNegative, samples.length)),
+    precision: round(precision),
+    recall: round(recall),
+    specificity: round(ratio(trueNegative, trueNegative + falsePositive)),
+    f1: round(precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null),
+    auc: round(areaUnderCurve(samples)),
+    roc: rocCurve(samples),
+    calibration: calibration(samples),
+  };
+}
+
+const groupBy = (items, keyFn) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+/**
+ * Measures prediction performance against confirmed diagnoses. Every
+ * assessment of a patient with a confirmed diagnosis counts, unless it was
+ * made after the diagnosis was confirmed. Assessments are read in chunks and
+ * only the values the metrics need are kept.
+ * @param {Object} range - `{ dateFrom, dateTo }` (Date) on the assessment date.
+ * @returns {Promise<Object>} - `{ labelledPatients, overall, byModel,
+ *   byThresholdVersion }`; `overall` uses the combined ensemble prediction.
+ */
+async function computePerformance({ dateFrom, dateTo } = {}) {
+  const createdAt = {};
+  if (dateFrom) createdAt.gte = dateFrom;
+  if (dateTo) createdAt.lte = dateTo;
+
+  const combinedSamples = [];
+  const modelSamples = [];
+  const labelledPatients = new Set();
+  let cursor;
+
+  while (true) {
+    const chunk = await prisma.assessment.findMany({
+      where: {
+        ...(dateFrom || dateTo ? { createdAt } : {}),
+        patient: { confirmedDiagnosis: { not: null }, deletedAt: null },
+      },
+      select: {
+        id: true,
+        patientId: true,
+        createdAt: true,
+        prediction: true,
+        precentage: true,
+        riskLevel: true,
+        thresholdVersionId: true,
+        patient: { select: { confirmedDiagnosis: true, diagnosisConfirmedAt: true } },
+        predictionResults: { select: { model: true, prediction: true, precentage: true } },
+      },
+      orderBy: { id: 'asc' },
+      take: ASSESSMENT_CHUNK_SIZE,
+      ...(cursor !== undefined ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (chunk.length === 0) break;
+
+    for (const assessment of chunk) {
+      const { patient } = assessment;
+      if (patient.diagnosisConfirmedAt && assessment.createdAt > patient.diagnosisConfirmedAt) continue;
+
+      labelledPatients.add(assessment.patientId);
+      combinedSamples.push({
+        actual: patient.confirmedDiagnosis,
+        predicted: assessment.prediction,
+        probability: assessment.precentage / 100,
+        riskLevel: assessment.riskLevel,
+        thresholdVersionId: assessment.thresholdVersionId,
+      });
+      assessment.predictionResults.forEach(result => modelSamples.push({
+        model: result.model,
+        actual: patient.confirmedDiagnosis,
+        predicted: result.prediction,
+        probability: result.precentage / 100,
+      }));
+    }
+
+    if (chunk.length < ASSESSMENT_CHUNK_SIZE) break;
+    cursor = chunk[chunk.length - 1].id;
+  }
+
+  const byModel = [...groupBy(modelSamples, sample => sample.model)]
+    .map(([model, samples]) => ({ model, ...evaluate(samples) }))
+    .sort((a, b) => a.model.localeCompare(b.model));
+
+  // Per version, also the observed diabetes rate in each risk level
+  const byThresholdVersion = [...groupBy(combinedSamples, sample => sample.thresholdVersionId ?? null)]
+    .map(([thresholdVersionId, samples]) => ({
+      thresholdVersionId,
+      ...evaluate(samples),
+      riskLevels: [...groupBy(samples, sample => sample.riskLevel)].map(([riskLevel, inLevel]) => {
+        const positives = inLevel.filter(sample => sample.actual).length;
+        return { riskLevel, count: inLevel.length, positives, observedRate: round(ratio(positives, inLevel.length)) };
+      }),
+    }))
+    .sort((a, b) => (a.thresholdVersionId ?? 0) - (b.thresholdVersionId ?? 0));
+
+  return {
+    labelledPatients: labelledPatients.size,
+    overall: evaluate(combinedSamples),
+    byModel,
+    byThresholdVersion,
+  };
+}
+
+/**
+ * Accuracy of the combined prediction over the same labelled assessments as
+ * computePerformance, counted in the database.
+ * @returns {Promise<Object>} - `{ assessments, correct, accuracy }`.
+ */
+async function labelledAccuracy() {
+  const [{ assessments, correct }] = await prisma.$queryRaw`
+    SELECT COUNT(*)::int AS assessments,
+           (COUNT(*) FILTER (WHERE a."prediction" = p."confirmedDiagnosis"))::int AS correct
+    FROM "Assessment" a
+    JOIN "Patient" p ON p."Id" = a."patientId"
+    WHERE p."confirmedDiagnosis" IS NOT NULL AND p."deletedAt" IS NULL
+      AND (p."diagnosisConfirmedAt" IS NULL OR a."createdAt" <= p."diagnosisConfirmedAt")`;
+  return { assessments, correct, accuracy: round(ratio(correct, assessments)) };
+}
+
+module.exports = { areaUnderCurve, rocCurve, calibration, evaluate, computePerformance, labelledAccuracy };
@@ -0,0 +1,104 @@
+const { PrismaClient } = require('@prisma/client');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const prisma = new PrismaClient();
+
+// In-process pub/sub used to push new notifications to open SSE streams
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channel = (userId) => `user:${userId}`;
+
+// EventSource cannot send headers, so a stream is opened with a short-lived,
+// single-use ticket instead of the access token (which would end up in URL logs)
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+const streamTickets = new Map(); // ticket -> { user, expiresAt }
+
+/**
+ * Issues a ticket for opening one notification stream.
+ * @param {Object} user - Decoded access token claims (`req.user`).
+ * @returns {Object} - `{ ticket, expiresIn }` (seconds).
+ */
+function issueStreamTicket(user) {
+  const now = Date.now();
+  streamTickets.forEach((entry, ticket) => {
+    if (entry.expiresAt <= now) streamTickets.delete(ticket);
+  });
+
+  const ticket = crypto.randomBytes(32).toString('hex');
+  streamTickets.set(ticket, { user, expiresAt: now + STREAM_TICKET_TTL_MS });
+  return { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+}
+
+/**
+ * Redeems a stream ticket; each ticket works once.
+ * @param {string} ticket - Ticket from issueStreamTicket.
+ * @returns {Object|null} - The claims it was issued for, or null when
+ *   unknown, used or expired.
+ */
+function redeemStreamTicket(ticket) {
+  const entry = typeof ticket === 'string' ? streamTickets.get(ticket) : undefined;
+  if (!entry) return null;
+  streamTickets.delete(ticket);
+  return entry.expiresAt > Date.now() ? entry.user : null;
+}
+
+/**
+ * Subscribes to notifications created for a user's patients.
+ * @param {string} userId - Owner of the patients.
+ * @param {Function} listener - Called with each new notification.
+ * @returns {Function} - Unsubscribe function.
+ */
+function subscribe(userId, listener) {
+  emitter.on(channel(userId), listener);
+  return () => emitter.off(channel(userId), listener);
+}
+
+/**
+ * Pushes a notification to every open stream of a user.
+ * @param {string} userId - Owner of the patient.
+ * @param {Object} notification - The stored notification.
+ */
+function publish(userId, notification) {
+  emitter.emit(channel(userId), notification);
+}
+
+/**
+ * Stores a notification for a patient and pushes it to the owner's streams.
+ * @param {Object} patient - Patient record (needs `Id`, `userId`, `name`).
+ * @param {string} message - Notification text.
+ * @returns {Promise<Object>} - The created notification.
+ */
+async function createNotification(patient, message) {
+  const notification = await prisma.notification.create({
+    data: {
+      patientId: patient.Id,
+      message,
+      isRead: false,
+    },
+  });
+
+  publish(patient.userId, { ...notification, patient: { Id: patient.Id, name: patient.name } });
+  return notification;
+}
+
+/**
+ * Counts unread notifications for a user's patients.
+ * @param {string} userId - Owner of the patients.
+ * @returns {Promise<number>}
+ */
+function countUnread(userId) {
+  return prisma.notification.count({
+    where: { isRead: false, patient: { userId, deletedAt: null } },
+  });
+}
+
+module.exports = {
+  issueStreamTicket,
+  redeemStreamTicket,
+  subscribe,
+  publish,
+  createNotification,
+  countUnread,
+};
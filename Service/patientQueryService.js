@@ -0,0 +1,148 @@
+// Shared filter/sort/pagination parsing for patient listings and exports
+
+const SORTABLE_FIELDS = [
+  'Id', 'name', 'Age', 'BMI', 'Insulin', 'Pregnancies', 'Glucose', 'BloodPressure',
+  'SkinThickness', 'DiabetesPedigreeFunction', 'prediction', 'precentage', 'riskLevel',
+  'CreatedAt', 'UpdatedAt',
+];
+
+// Query-string prefixes for numeric range filters, e.g. ?ageMin=30&glucoseMax=140
+const RANGE_FILTERS = {
+  age: 'Age',
+  bmi: 'BMI',
+  glucose: 'Glucose',
+  bloodPressure: 'BloodPressure',
+  insulin: 'Insulin',
+  skinThickness: 'SkinThickness',
+  pregnancies: 'Pregnancies',
+  pedigree: 'DiabetesPedigreeFunction',
+  precentage: 'precentage',
+};
+
+const RISK_LEVELS = ['Low', 'Moderate', 'High', 'Critical'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const parseNumber = (value, name) => {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) throw new Error(`Invalid value for ${name}`);
+  return number;
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (isNaN(date)) throw new Error(`Invalid ${label} date format`);
+  return date;
+};
+
+/**
+ * Builds a Prisma `where` clause for patients from query-string filters.
+ *
+ * Supported filters: dateFrom/dateTo (CreatedAt window), prediction
+ * (diabetic|non-diabetic), riskLevel (comma-separated), owner (userId),
+ * search (name contains), and <field>Min/<field>Max for RANGE_FILTERS.
+ *
+ * @param {Object} query - Express `req.query`.
+ * @returns {Object} - Prisma where clause.
+ */
+function buildPatientFilters(query = {}) {
+  const { dateFrom, dateTo, prediction, riskLevel, owner, search } = query;
+  const filters = { deletedAt: null }; // Patients in the trash are never listed
+
+  // Date filtering
+  if (dateFrom || dateTo) {
+    filters.CreatedAt = {};
+    if (dateFrom) filters.CreatedAt.gte = parseDate(dateFrom, 'start');
+    if (dateTo) filters.CreatedAt.lte = parseDate(dateTo, 'end');
+  }
+
+  // Prediction filtering
+  if (prediction) {
+    if (!['diabetic', 'non-diabetic'].includes(prediction)) {
+      throw new Error('Invalid prediction filter value');
+    }
+    filters.prediction = prediction === 'diabetic';
+  }
+
+  if (riskLevel) {
+    const levels = String(riskLevel).split(',').map(level => level.trim());
+    const invalid = levels.filter(level => !RISK_LEVELS.includes(level));
+    if (invalid.length > 0) throw new Error(`Invalid riskLevel filter value: ${invalid.join(', ')}`);
+    filters.riskLevel = { in: levels };
+  }
+
+  if (owner) filters.userId = String(owner);
+
+  if (search) filters.name = { contains: String(search), mode: 'insensitive' };
+
+  for (const [param, field] of Object.entries(RANGE_FILTERS)) {
+    const min = query[`${param}Min`];
+    const max = query[`${param}Max`];
+    if (min === undefined && max === undefined) continue;
+
+    filters[field] = {};
+    if (min !== undefined) filters[field].gte = parseNumber(min, `${param}Min`);
+    if (max !== undefined) filters[field].lte = parseNumber(max, `${param}Max`);
+  }
+
+  return filters;
+}
+
+/**
+ * Parses sorting and pagination. Offset pagination uses page/limit; passing
+ * `cursor` (a patient Id from a previous page's `nextCursor`) switches to
+ * cursor pagination, which stays fast on large tables.
+ * @param {Object} query - Express `req.query`.
+ * @returns {Object} - `{ orderBy, skip, take, cursor, page, limit }`.
+ */
+function buildPatientPagination(query = {}) {
+  const { sortBy = 'CreatedAt', sortOrder = 'desc', cursor } = query;
+
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    throw new Error(`Invalid sortBy. Allowed values: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw new Error('Invalid sortOrder. Allowed values: asc, desc');
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+
+  // Id breaks ties so pages never overlap or skip rows
+  const orderBy = sortBy === 'Id' ? [{ Id: sortOrder }] : [{ [sortBy]: sortOrder }, { Id: sortOrder }];
+
+  if (cursor !== undefined) {
+    const cursorId = parseInt(cursor, 10);
+    if (isNaN(cursorId)) throw new Error('Invalid cursor');
+    return { orderBy, cursor: { Id: cursorId }, skip: 1, take: limit, page: null, limit };
+  }
+
+  return { orderBy, skip: (page - 1) * limit, take: limit, page, limit };
+}
+
+/**
+ * Builds the `meta` block returned with a page of patients.
+ * @param {Array} rows - The page of patients.
+ * @param {number} total - Count of all matching patients.
+ * @param {Object} pagination - Output of buildPatientPagination.
+ * @returns {Object}
+ */
+function paginationMeta(rows, total, { page, limit }) {
+  return {
+    total,
+    limit,
+    page,
+    totalPages: Math.ceil(total / limit),
+    nextCursor: rows.length === limit ? rows[rows.length - 1].Id : null,
+  };
+}
+
+module.exports = {
+  SORTABLE_FIELDS,
+  RANGE_FILTERS,
+  RISK_LEVELS,
+  buildPatientFilters,
+  buildPatientPagination,
+  paginationMeta,
+};
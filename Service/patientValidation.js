@@ -0,0 +1,179 @@
+const { checkSchema, validationResult, matchedData } = require('express-validator');
+
+// Request keys (lower-cased, without spaces/underscores/dashes) mapped to the
+// canonical field names used by the database and the models
+const FIELD_ALIASES = {
+  name: 'name',
+  patientname: 'name',
+  age: 'Age',
+  bmi: 'BMI',
+  insulin: 'Insulin',
+  pregnancies: 'Pregnancies',
+  glucose: 'Glucose',
+  bloodpressure: 'BloodPressure',
+  diastolicbloodpressure: 'BloodPressure',
+  bp: 'BloodPressure',
+  skinthickness: 'SkinThickness',
+  diabetespedigreefunction: 'DiabetesPedigreeFunction',
+  pedigree: 'DiabetesPedigreeFunction',
+  dpf: 'DiabetesPedigreeFunction',
+  glucoseunit: 'glucoseUnit',
+  weight: 'weight',
+  weightunit: 'weightUnit',
+  height: 'height',
+  heightunit: 'heightUnit',
+};
+
+const CLINICAL_FIELDS = [
+  'Age', 'BMI', 'Insulin', 'Pregnancies', 'Glucose',
+  'BloodPressure', 'SkinThickness', 'DiabetesPedigreeFunction',
+];
+
+// Fields that may be sent as unknown (null) and are stored as NULL
+const NULLABLE_FIELDS = ['Insulin', 'Pregnancies', 'BloodPressure', 'SkinThickness', 'DiabetesPedigreeFunction'];
+
+// Values clients use for "not measured"
+const UNKNOWN_VALUES = ['', 'unknown', 'na', 'n/a', 'null', 'none'];
+
+const GLUCOSE_UNITS = { 'mg/dl': 1, 'mmol/l': 18.0182 };
+const WEIGHT_UNITS = { kg: 1, lb: 0.45359237 };
+const HEIGHT_UNITS = { m: 1, cm: 0.01, in: 0.0254 };
+
+/**
+ * Resolves a request key to its canonical field name.
+ * @param {string} key - e.g. "age", "Blood Pressure", "skin_thickness".
+ * @returns {string|null} - e.g. "Age", or null for unrelated keys.
+ */
+const canonicalField = (key) => FIELD_ALIASES[String(key || '').toLowerCase().replace(/[\s_-]/g, '')] || null;
+
+/**
+ * Renames keys to their canonical casing and turns "unknown" markers into
+ * null. Unrelated keys are dropped.
+ * @param {Object} input - Raw request body, spreadsheet row, etc.
+ * @returns {Object}
+ */
+function normalizePatientInput(input = {}) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(input || {})) {
+    const field = canonicalField(key);
+    if (!field) continue;
+    normalized[field] = typeof value === 'string' && UNKNOWN_VALUES.includes(value.trim().toLowerCase())
+      ? null
+      : value;
+  }
+  return normalized;
+}
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Glucose arrives in the unit named by glucoseUnit and is stored in mg/dL
+const toMgPerDl = (value, { req }) => {
+  const factor = GLUCOSE_UNITS[String(req.body.glucoseUnit || 'mg/dl').toLowerCase()];
+  const number = Number(value);
+  if (value === null || value === '' || !factor || !Number.isFinite(number)) return value;
+  return round(number * factor, 1);
+};
+
+// BMI may be omitted when weight and height are given
+const bmiFromWeightAndHeight = (value, { req }) => {
+  if (value !== null && value !== undefined) return value;
+
+  const { weight, height, weightUnit = 'kg', heightUnit = 'cm' } = req.body;
+  const kg = Number(weight) * WEIGHT_UNITS[String(weightUnit).toLowerCase()];
+  const metres = Number(height) * HEIGHT_UNITS[String(heightUnit).toLowerCase()];
+  if (!Number.isFinite(kg) || !Number.isFinite(metres) || kg <= 0 || metres <= 0) return value;
+  return round(kg / (metres * metres), 1);
+};
+
+// null counts as missing, like undefined
+const NULL_IS_MISSING = { values: 'null' };
+
+const required = (label) => ({
+  exists: { options: NULL_IS_MISSING, errorMessage: `${label} is required`, bail: true },
+});
+
+const nullable = { optional: { options: NULL_IS_MISSING } };
+
+const number = (label, min, max, unit, { integer = false, unknownHint = false } = {}) => {
+  const hint = unknownHint ? '; send null if unknown' : '';
+  const message = `${label} must be ${integer ? 'a whole number ' : ''}between ${min} and ${max}${unit ? ` ${unit}` : ''}${hint}`;
+  return integer
+    ? { isInt: { options: { min, max }, errorMessage: message }, toInt: true }
+    : { isFloat: { options: { min, max }, errorMessage: message }, toFloat: true };
+};
+
+const unit = (label, units) => ({
+  ...nullable,
+  isIn: {
+    options: [Object.keys(units)],
+    errorMessage: `${label} must be one of: ${Object.keys(units).join(', ')}`,
+  },
+});
+
+// Physiologic ranges; values outside them are almost certainly entry errors
+const patientSchema = {
+  name: {
+    ...nullable,
+    isString: { errorMessage: 'name must be text' },
+    trim: true,
+    isLength: { options: { max: 100 }, errorMessage: 'name must be at most 100 characters' },
+  },
+  Age: { ...required('Age'), ...number('Age', 1, 120, 'years', { integer: true }) },
+  Glucose: {
+    ...required('Glucose'),
+    customSanitizer: { options: toMgPerDl },
+    ...number('Glucose', 20, 600, 'mg/dL'),
+  },
+  BMI: {
+    customSanitizer: { options: bmiFromWeightAndHeight },
+    ...required('BMI (or weight and height)'),
+    ...number('BMI', 10, 80, 'kg/m²'),
+  },
+  BloodPressure: { ...nullable, ...number('BloodPressure (diastolic)', 20, 150, 'mmHg', { unknownHint: true }) },
+  Insulin: { ...nullable, ...number('Insulin', 2, 1000, 'µU/mL', { unknownHint: true }) },
+  SkinThickness: { ...nullable, ...number('SkinThickness', 2, 100, 'mm', { unknownHint: true }) },
+  Pregnancies: { ...nullable, ...number('Pregnancies', 0, 25, '', { integer: true }) },
+  DiabetesPedigreeFunction: { ...nullable, ...number('DiabetesPedigreeFunction', 0, 3, '') },
+  glucoseUnit: { customSanitizer: { options: value => (typeof value === 'string' ? value.toLowerCase() : value) }, ...unit('glucoseUnit', GLUCOSE_UNITS) },
+  weight: { ...nullable, isFloat: { options: { gt: 0 }, errorMessage: 'weight must be a positive number' } },
+  weightUnit: { customSanitizer: { options: value => (typeof value === 'string' ? value.toLowerCase() : value) }, ...unit('weightUnit', WEIGHT_UNITS) },
+  height: { ...nullable, isFloat: { options: { gt: 0 }, errorMessage: 'height must be a positive number' } },
+  heightUnit: { customSanitizer: { options: value => (typeof value === 'string' ? value.toLowerCase() : value) }, ...unit('heightUnit', HEIGHT_UNITS) },
+};
+
+/**
+ * Validates patient input against the clinical schema, reporting every
+ * invalid field at once.
+ * @param {Object} input - Raw input in any supported casing and units.
+ * @returns {Promise<Object>} - `{ data, errors }`; `data` holds canonical
+ *   fields in storage units (unknown values as null), `errors` is a list of
+ *   `{ field, message, value }`.
+ */
+async function validatePatientInput(input) {
+  const req = { body: normalizePatientInput(input) };
+  await checkSchema(patientSchema, ['body']).run(req);
+
+  // Every rule in the schema is a field rule
+  const errors = validationResult(req).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+    value: error.value,
+  }));
+  if (errors.length > 0) return { data: null, errors };
+
+  const valid = matchedData(req, { includeOptionals: true });
+  const data = { name: valid.name || 'Unknown' };
+  CLINICAL_FIELDS.forEach(field => {
+    data[field] = valid[field] ?? null;
+  });
+
+  return { data, errors: [] };
+}
+
+module.exports = {
+  CLINICAL_FIELDS,
+  NULLABLE_FIELDS,
+  canonicalField,
+  normalizePatientInput,
+  validatePatientInput,
+};
@@ -0,0 +1,114 @@
+const appService = require('./appService');
+const localModel = require('./localModel');
+
+/**
+ * Prediction backends. Each engine exposes `predict(features, { signal })`
+ * and resolves to an object keyed by model name:
+ * `{ [model]: { prediction, precentage } }`. Engines that make requests stop
+ * them when the optional AbortSignal fires.
+ */
+const engines = new Map();
+
+/**
+ * Registers a prediction engine under a name.
+ * @param {string} name - Engine name stored on each Patient (e.g. "remote").
+ * @param {Object} engine - Object with an async `predict(features)` method.
+ */
+function registerEngine(name, engine) {
+  if (!engine || typeof engine.predict !== 'function') {
+    throw new Error(`Prediction engine "${name}" must implement predict()`);
+  }
+  engines.set(name, engine);
+}
+
+function getEngine(name) {
+  const engine = engines.get(name);
+  if (!engine) {
+    throw new Error(`Unknown prediction engine: ${name}`);
+  }
+  return engine;
+}
+
+// Pima dataset medians (of recorded values), used for features sent as unknown
+const FEATURE_MEDIANS = {
+  Pregnancies: 3,
+  Glucose: 117,
+  BloodPressure: 72,
+  SkinThickness: 29,
+  Insulin: 125,
+  BMI: 32.3,
+  DiabetesPedigreeFunction: 0.3725,
+  Age: 29,
+};
+
+/**
+ * Fills unknown (null) features with the training medians so engines never
+ * see a missing value as zero.
+ * @param {Object} features - Parsed patient data.
+ * @returns {Object} - `{ features, imputedFields }`.
+ */
+function imputeFeatures(features) {
+  const imputed = { ...features };
+  const imputedFields = [];
+  for (const [feature, median] of Object.entries(FEATURE_MEDIANS)) {
+    if (imputed[feature] === null || imputed[feature] === undefined) {
+      imputed[feature] = median;
+      imputedFields.push(feature);
+    }
+  }
+  return { features: imputed, imputedFields };
+}
+
+const isValidResponse = (response) =>
+  response &&
+  typeof response === 'object' &&
+  Object.keys(response).length > 0 &&
+  Object.values(response).every(result => result && Number.isFinite(Number(result.precentage)));
+
+registerEngine('remote', {
+  predict: (features, options) => appService.callPythonService(features, options),
+});
+
+registerEngine('local', {
+  predict: async (features) => localModel.predict(features),
+});
+
+/**
+ * Runs a prediction with the configured engine.
+ *
+ * PREDICTION_ENGINE selects the backend: "remote" or "local" force a single
+ * engine, while "auto" (default) tries the remote service and falls back to
+ * the local model when it is unreachable or returns an unusable response.
+ *
+ * @param {Object} patientData - The eight Pima features; unknown ones are null.
+ * @returns {Promise<Object>} - `{ engine, fallbackReason, models, imputedFields }`.
+ */
+async function predict(patientData) {
+  const mode = process.env.PREDICTION_ENGINE || 'auto';
+  const { features, imputedFields } = imputeFeatures(patientData);
+
+  if (mode !== 'auto') {
+    const models = await getEngine(mode).predict(features);
+    if (!isValidResponse(models)) {
+      throw new Error(`Invalid response from ${mode} prediction engine`);
+    }
+    return { engine: mode, fallbackReason: null, models, imputedFields };
+  }
+
+  let fallbackReason;
+  try {
+    const models = await getEngine('remote').predict(features);
+    if (isValidResponse(models)) {
+      return { engine: 'remote', fallbackReason: null, models, imputedFields };
+    }
+    fallbackReason = 'Invalid response from prediction service';
+  } catch (error) {
+    fallbackReason = error.message;
+  }
+
+  console.warn(`⚠️ Falling back to local prediction engine: ${fallbackReason}`);
+  const models = await getEngine('local').predict(features);
+  return { engine: 'local', fallbackReason, models, imputedFields };
+}
+
+module.exports = { FEATURE_MEDIANS, registerEngine, getEngine, imputeFeatures, predict };
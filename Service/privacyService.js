@@ -0,0 +1,196 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Replace the erased user's email and their patients' names in retained audit text
+const ERASED_USER = '[erased user]';
+const ERASED_PATIENT = '[erased patient]';
+
+// Erasing a user with many patients runs more than the default 5s
+const ERASURE_TIMEOUT_MS = 30000;
+
+const PROFILE_SELECT = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  createdAt: true,
+  credentialsChangedAt: true,
+  failedLoginAttempts: true,
+  lockedUntil: true,
+};
+
+/**
+ * Collects everything stored about a user, for a personal data export.
+ * Credentials (password hash, reset and refresh tokens) are left out.
+ * @param {string} userId - The user's id.
+ * @returns {Promise<Object|null>} - `{ exportedAt, profile, patients,
+ *   assessmentsOnOtherPatients, feedback, batchJobs, sessions, activity }`,
+ *   or null when the user does not exist.
+ */
+async function exportUserData(userId) {
+  const profile = await prisma.user.findUnique({ where: { id: userId }, select: PROFILE_SELECT });
+  if (!profile) return null;
+
+  const [patients, assessmentsOnOtherPatients, feedback, batchJobs, sessions, activity] = await Promise.all([
+    prisma.patient.findMany({
+      where: { userId },
+      orderBy: { CreatedAt: 'asc' },
+      include: {
+        notifications: { orderBy: { date: 'asc' } },
+        assessments: { orderBy: { createdAt: 'asc' }, include: { predictionResults: true } },
+      },
+    }),
+    prisma.assessment.findMany({
+      where: { userId, patient: { userId: { not: userId } } },
+      orderBy: { createdAt: 'asc' },
+      include: { predictionResults: true },
+    }),
+    prisma.feedback.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      include: { replies: { orderBy: { createdAt: 'asc' }, select: { message: true, createdAt: true } } },
+    }),
+    prisma.batchJob.findMany({ where: { userId }, orderBy: { createdAt: 'asc' }, include: { rows: true } }),
+    prisma.session.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      select: { id: true, createdAt: true, expiresAt: true, revokedAt: true, ipAddress: true, userAgent: true },
+    }),
+    prisma.auditLog.findMany({
+      where: { userId },
+      orderBy: { createdAt: 'asc' },
+      select: { action: true, actionType: true, targetType: true, targetId: true, ipAddress: true, userAgent: true, createdAt: true },
+    }),
+  ]);
+
+  return { exportedAt: new Date(), profile, patients, assessmentsOnOtherPatients, feedback, batchJobs, sessions, activity };
+}
+
+/**
+ * Removes patient details from the audit entries about some patients:
+ * snapshots are cleared and each name the patient had ("patient <name>" in
+ * the action text, as the controllers write it) is replaced. Besides the
+ * current names, the snapshots give the names of patients renamed since.
+ * @param {Object} tx - Transaction client.
+ * @param {Array<Object>} patients - `[{ Id, name }]`.
+ */
+async function scrubPatientAudit(tx, patients) {
+  // Audit entries store the Id as text
+  const patientIds = patients.map(patient => String(patient.Id));
+  const named = await tx.$queryRaw`
+    SELECT DISTINCT "targetId", "name" FROM (
+      SELECT "targetId", "before"->>'name' AS "name" FROM "AuditLog"
+      WHERE "targetType" = 'Patient' AND "targetId" = ANY(${patientIds})
+      UNION
+      SELECT "targetId", "after"->>'name' AS "name" FROM "AuditLog"
+      WHERE "targetType" = 'Patient' AND "targetId" = ANY(${patientIds})
+    ) AS "names"
+    WHERE "name" IS NOT NULL AND "name" <> ''`;
+
+  const idsByName = new Map();
+  const addName = (targetId, name) => {
+    if (!name) return;
+    if (!idsByName.has(name)) idsByName.set(name, []);
+    idsByName.get(name).push(targetId);
+  };
+  patients.forEach(patient => addName(String(patient.Id), patient.name));
+  named.forEach(({ targetId, name }) => addName(targetId, name));
+
+  // Longest first, so a name that contains another is replaced whole
+  const names = [...idsByName.keys()].sort((a, b) => b.length - a.length);
+  for (const name of names) {
+    await tx.$executeRaw`
+      UPDATE "AuditLog"
+      SET "action" = REPLACE("action", ${`patient ${name}`}, ${`patient ${ERASED_PATIENT}`})
+      WHERE "targetType" = 'Patient' AND "targetId" = ANY(${idsByName.get(name)})`;
+  }
+
+  await tx.auditLog.updateMany({
+    where: { targetType: 'Patient', targetId: { in: patientIds } },
+    data: { before: Prisma.DbNull, after: Prisma.DbNull },
+  });
+}
+
+/**
+ * Erases a user account and their personal data in one transaction.
+ * Their patients (with assessments, model results and notifications),
+ * feedback, batch jobs, sessions and queued emails are deleted. Records kept
+ * for other users or for the audit trail are anonymised instead: assessments
+ * they ran on other clinicians' patients, feedback replies and audit entries
+ * lose the link to the user, and their email is scrubbed from audit text and
+ * digest recipient lists. Audit entries about their patients lose their
+ * snapshots and the patient names in their text.
+ * @param {string} userId - The user to erase.
+ * @returns {Promise<Object>} - Counts of deleted records.
+ * @throws {Error} - "User not found", or when erasing the last superadmin.
+ */
+async function eraseUser(userId) {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findUnique({ where: { id: userId }, select: { id: true, email: true, role: true, deletedAt: true } });
+    if (!user) throw new Error('User not found');
+
+    if (user.role === 'superadmin' && !user.deletedAt
+      && await tx.user.count({ where: { role: 'superadmin', deletedAt: null } }) <= 1) {
+      throw new Error('Cannot erase the last superadmin');
+    }
+
+    const patientRecords = await tx.patient.findMany({ where: { userId }, select: { Id: true, name: true } });
+
+    const ownPatients = { patient: { userId } };
+    await tx.notification.deleteMany({ where: ownPatients });
+    await tx.predictionResult.deleteMany({ where: { assessment: ownPatients } });
+    await tx.assessment.deleteMany({ where: ownPatients });
+    const patients = await tx.patient.deleteMany({ where: { userId } });
+
+    // Replies cascade with the feedback
+    const feedback = await tx.feedback.deleteMany({ where: { userId } });
+
+    await tx.batchJobRow.deleteMany({ where: { job: { userId } } });
+    const batchJobs = await tx.batchJob.deleteMany({ where: { userId } });
+    const sessions = await tx.session.deleteMany({ where: { userId } });
+    const emails = await tx.emailOutbox.deleteMany({ where: { to: { equals: user.email, mode: 'insensitive' } } });
+
+    // Audit entries are retained without the user's or their patients' details
+    await tx.auditLog.updateMany({
+      where: { targetType: 'User', targetId: userId },
+      data: { before: Prisma.DbNull, after: Prisma.DbNull },
+    });
+    if (patientRecords.length > 0) {
+      await scrubPatientAudit(tx, patientRecords);
+    }
+    await tx.$executeRaw`
+      UPDATE "AuditLog"
+      SET "action" = REPLACE("action", ${user.email}, ${ERASED_USER}),
+          "details" = REPLACE("details", ${user.email}, ${ERASED_USER})
+      WHERE "action" LIKE ${`%${user.email}%`} OR "details" LIKE ${`%${user.email}%`}`;
+
+    // Plain id and email references that have no foreign key; schedules
+    // store recipients lowercased, runs as sent
+    await tx.patient.updateMany({ where: { diagnosisRecordedById: userId }, data: { diagnosisRecordedById: null } });
+    await tx.riskThresholdVersion.updateMany({ where: { createdById: userId }, data: { createdById: null } });
+    await tx.riskThresholdVersion.updateMany({ where: { activatedById: userId }, data: { activatedById: null } });
+    await tx.digestSchedule.updateMany({ where: { createdById: userId }, data: { createdById: null } });
+    await tx.$executeRaw`
+      UPDATE "DigestSchedule"
+      SET "recipients" = array_remove("recipients", ${user.email.toLowerCase()})
+      WHERE ${user.email.toLowerCase()} = ANY("recipients")`;
+    await tx.$executeRaw`
+      UPDATE "DigestRun"
+      SET "recipients" = array_replace("recipients", ${user.email}, ${ERASED_USER})
+      WHERE ${user.email} = ANY("recipients")`;
+
+    // Assessments on other patients, replies and the actor of audit entries are set null
+    await tx.user.delete({ where: { id: userId } });
+
+    return {
+      patients: patients.count,
+      feedback: feedback.count,
+      batchJobs: batchJobs.count,
+      sessions: sessions.count,
+      emails: emails.count,
+    };
+  }, { timeout: ERASURE_TIMEOUT_MS });
+}
+
+module.exports = { exportUserData, eraseUser };
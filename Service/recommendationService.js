@@ -0,0 +1,157 @@
+const { PrismaClient } = require('@prisma/client');
+const { CLINICAL_FIELDS } = require('./patientValidation');
+const { RISK_LEVELS } = require('./patientQueryService');
+
+const prisma = new PrismaClient();
+
+// Condition operators; `value`/`valueMax` are in the stored units (mg/dL, mmHg, ...).
+// `between` is half-open, [value, valueMax), so adjacent ranges leave no gaps
+const OPERATORS = {
+  gt: (measured, { value }) => measured > value,
+  gte: (measured, { value }) => measured >= value,
+  lt: (measured, { value }) => measured < value,
+  lte: (measured, { value }) => measured <= value,
+  between: (measured, { value, valueMax }) => measured >= value && measured < valueMax,
+};
+
+const CATEGORIES = ['glucose', 'weight', 'blood-pressure', 'insulin', 'pregnancy', 'family-history', 'screening', 'general'];
+
+const RULE_FIELDS = ['code', 'title', 'field', 'operator', 'value', 'valueMax', 'riskLevels', 'message', 'category', 'priority', 'reference', 'enabled'];
+
+/**
+ * Validates a rule, either complete (create) or partial (update).
+ * Lower `priority` numbers are shown first (1 = most important).
+ * @param {Object} input - Rule fields.
+ * @param {Object} [existing] - The stored rule when updating.
+ * @returns {Object} - Data to persist.
+ */
+function validateRule(input = {}, existing = null) {
+  const data = {};
+  RULE_FIELDS.forEach(field => {
+    if (input[field] !== undefined) data[field] = input[field];
+  });
+  const rule = { ...existing, ...data };
+  const errors = [];
+
+  if (!existing && (typeof rule.code !== 'string' || !/^[a-z0-9-]{2,50}$/.test(rule.code))) {
+    errors.push('code must be 2-50 lowercase letters, digits or dashes');
+  }
+  if (existing && data.code !== undefined && data.code !== existing.code) {
+    errors.push('code cannot be changed');
+  }
+  if (typeof rule.title !== 'string' || !rule.title.trim() || rule.title.length > 120) {
+    errors.push('title must be a non-empty text of at most 120 characters');
+  }
+  if (typeof rule.message !== 'string' || !rule.message.trim() || rule.message.length > 1000) {
+    errors.push('message must be a non-empty text of at most 1000 characters');
+  }
+  if (!CLINICAL_FIELDS.includes(rule.field)) {
+    errors.push(`field must be one of: ${CLINICAL_FIELDS.join(', ')}`);
+  }
+  if (!OPERATORS[rule.operator]) {
+    errors.push(`operator must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+  }
+  if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) {
+    errors.push('value must be a number');
+  }
+  if (rule.operator === 'between') {
+    if (typeof rule.valueMax !== 'number' || !Number.isFinite(rule.valueMax) || rule.valueMax <= rule.value) {
+      errors.push('valueMax must be a number greater than value for the "between" operator (value <= x < valueMax)');
+    }
+  } else if (rule.valueMax !== undefined && rule.valueMax !== null) {
+    errors.push('valueMax is only used with the "between" operator');
+  }
+  if (rule.riskLevels !== undefined && (!Array.isArray(rule.riskLevels) || rule.riskLevels.some(level => !RISK_LEVELS.includes(level)))) {
+    errors.push(`riskLevels must be a list of: ${RISK_LEVELS.join(', ')}`);
+  }
+  if (rule.category !== undefined && !CATEGORIES.includes(rule.category)) {
+    errors.push(`category must be one of: ${CATEGORIES.join(', ')}`);
+  }
+  if (rule.priority !== undefined && (!Number.isInteger(rule.priority) || rule.priority < 1 || rule.priority > 5)) {
+    errors.push('priority must be a whole number from 1 (highest) to 5');
+  }
+  if (rule.reference !== undefined && rule.reference !== null && (typeof rule.reference !== 'string' || rule.reference.length > 500)) {
+    errors.push('reference must be a text of at most 500 characters');
+  }
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push('enabled must be true or false');
+  }
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return data;
+}
+
+/**
+ * Evaluates rules against one patient's measurements. Rules on unknown
+ * (null) measurements never match.
+ * @param {Object} patientData - Parsed patient data with `riskLevel`.
+ * @param {Array<Object>} rules - Enabled rules.
+ * @returns {Array<Object>} - Matching recommendations, most important first:
+ *   `[{ code, title, message, category, priority, reference, field, value }]`.
+ */
+function evaluate(patientData, rules) {
+  return rules
+    .filter(rule => {
+      const measured = patientData[rule.field];
+      if (measured === null || measured === undefined) return false;
+      if (rule.riskLevels && rule.riskLevels.length > 0 && !rule.riskLevels.includes(patientData.riskLevel)) return false;
+      return OPERATORS[rule.operator] ? OPERATORS[rule.operator](measured, rule) : false;
+    })
+    .sort((a, b) => a.priority - b.priority || a.code.localeCompare(b.code))
+    .map(rule => ({
+      code: rule.code,
+      title: rule.title,
+      message: rule.message,
+      category: rule.category,
+      priority: rule.priority,
+      reference: rule.reference || null,
+      field: rule.field,
+      value: patientData[rule.field],
+    }));
+}
+
+/**
+ * Builds the personalised recommendation list from the enabled rules.
+ * @param {Object} patientData - Parsed patient data with `riskLevel`.
+ * @returns {Promise<Array<Object>>}
+ */
+async function recommend(patientData) {
+  const rules = await prisma.recommendationRule.findMany({ where: { enabled: true } });
+  return evaluate(patientData, rules);
+}
+
+async function listRules() {
+  return prisma.recommendationRule.findMany({ orderBy: [{ priority: 'asc' }, { code: 'asc' }] });
+}
+
+async function createRule(input) {
+  const data = validateRule(input);
+  const existing = await prisma.recommendationRule.findUnique({ where: { code: data.code } });
+  if (existing) throw new Error(`A rule with code "${data.code}" already exists`);
+  return prisma.recommendationRule.create({ data });
+}
+
+/**
+ * Updates a rule; send `{ enabled: false }` to disable it. Switching the
+ * operator away from "between" clears the stored valueMax.
+ */
+async function updateRule(id, input = {}) {
+  const existing = await prisma.recommendationRule.findUnique({ where: { id } });
+  if (!existing) throw new Error('Recommendation rule not found');
+
+  const changes = input.operator !== undefined && input.operator !== 'between' && input.valueMax === undefined
+    ? { ...input, valueMax: null }
+    : input;
+  return prisma.recommendationRule.update({ where: { id }, data: validateRule(changes, existing) });
+}
+
+module.exports = {
+  OPERATORS,
+  CATEGORIES,
+  validateRule,
+  evaluate,
+  recommend,
+  listRules,
+  createRule,
+  updateRule,
+};
@@ -0,0 +1,50 @@
+// Adult reference ranges for the screening measurements, used in reports.
+// `zeroMeansMissing` marks fields where a stored 0 stands for "not recorded".
+const REFERENCE_RANGES = {
+  Glucose: { label: 'Glucose', unit: 'mg/dL', low: 70, high: 99, note: 'fasting plasma glucose', zeroMeansMissing: true },
+  BloodPressure: { label: 'Blood Pressure (diastolic)', unit: 'mmHg', low: 60, high: 79, zeroMeansMissing: true },
+  BMI: { label: 'BMI', unit: 'kg/m²', low: 18.5, high: 24.9, zeroMeansMissing: true },
+  Insulin: { label: 'Insulin', unit: 'µU/mL', low: 16, high: 166, note: '2-hour serum insulin', zeroMeansMissing: true },
+  SkinThickness: { label: 'Skin Thickness', unit: 'mm', zeroMeansMissing: true },
+  Pregnancies: { label: 'Pregnancies', unit: '' },
+  DiabetesPedigreeFunction: { label: 'Diabetes Pedigree Function', unit: '' },
+  Age: { label: 'Age', unit: 'years' },
+};
+
+/**
+ * Whether a measurement was actually recorded.
+ * @param {string} field - Patient column name.
+ * @param {number} value - The stored value.
+ * @returns {boolean}
+ */
+function isRecorded(field, value) {
+  if (value === null || value === undefined) return false;
+  return !(value === 0 && REFERENCE_RANGES[field]?.zeroMeansMissing);
+}
+
+/**
+ * Compares a measurement against its reference range.
+ * @param {string} field - Patient column name (e.g. "Glucose").
+ * @param {number} value - The measured value.
+ * @returns {string|null} - "Low", "Normal", "High", or null when no range applies.
+ */
+function classify(field, value) {
+  const range = REFERENCE_RANGES[field];
+  if (!range || range.low === undefined || !isRecorded(field, value)) return null;
+  if (value < range.low) return 'Low';
+  if (value > range.high) return 'High';
+  return 'Normal';
+}
+
+/**
+ * Formats a range for display, e.g. "70–99 mg/dL".
+ * @param {string} field - Patient column name.
+ * @returns {string}
+ */
+function formatRange(field) {
+  const range = REFERENCE_RANGES[field];
+  if (!range || range.low === undefined) return '—';
+  return `${range.low}–${range.high} ${range.unit}`.trim();
+}
+
+module.exports = { REFERENCE_RANGES, isRecorded, classify, formatRange };
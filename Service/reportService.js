@@ -0,0 +1,108 @@
+const PDFDocument = require('pdfkit');
+const { REFERENCE_RANGES, isRecorded, classify, formatRange } = require('./referenceRanges');
+
+const MEASUREMENTS = [
+  'Glucose', 'BloodPressure', 'BMI', 'Insulin', 'SkinThickness',
+  'Pregnancies', 'DiabetesPedigreeFunction', 'Age',
+];
+
+const COLUMNS = [
+  { header: 'Measurement', x: 50, width: 170 },
+  { header: 'Value', x: 220, width: 90 },
+  { header: 'Reference range', x: 310, width: 140 },
+  { header: 'Status', x: 450, width: 90 },
+];
+
+const formatValue = (field, value) => {
+  if (!isRecorded(field, value)) return 'Not recorded';
+  const { unit } = REFERENCE_RANGES[field];
+  const rounded = Number.isInteger(value) ? value : Number(value).toFixed(field === 'DiabetesPedigreeFunction' ? 3 : 1);
+  return `${rounded} ${unit}`.trim();
+};
+
+const drawRow = (doc, cells, y, options = {}) => {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+  cells.forEach((text, index) => {
+    const column = COLUMNS[index];
+    doc.fillColor(options.colors?.[index] || 'black').text(text, column.x, y, { width: column.width });
+  });
+  doc.fillColor('black');
+};
+
+const STATUS_COLORS = { High: '#b42318', Low: '#b54708', Normal: '#067647' };
+
+/**
+ * Renders a one-page screening summary for a patient.
+ * @param {Object} patient - Patient record (latest-state snapshot).
+ * @param {Object} options - `{ clinicianName, assessedAt }`.
+ * @param {stream.Writable} output - Stream the PDF is written to (e.g. the response).
+ */
+function writePatientReport(patient, { clinicianName, assessedAt }, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Screening report - ${patient.name}` } });
+  doc.pipe(output);
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(18).text('Diabetes Risk Screening Report');
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor('#555')
+    .text(`Generated ${new Date().toISOString().replace('T', ' ').slice(0, 16)} UTC`);
+  doc.fillColor('black').moveDown();
+
+  // Patient and clinician
+  doc.font('Helvetica-Bold').fontSize(12).text('Patient');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Name: ${patient.name}`)
+    .text(`Patient ID: ${patient.Id}`)
+    .text(`Assessed on: ${new Date(assessedAt || patient.UpdatedAt).toISOString().slice(0, 10)}`)
+    .text(`Assessing clinician: ${clinicianName || 'Unknown'}`);
+  doc.moveDown();
+
+  // Measurements vs reference ranges
+  doc.font('Helvetica-Bold').fontSize(12).text('Measurements');
+  doc.moveDown(0.5);
+  let y = doc.y;
+  drawRow(doc, COLUMNS.map(column => column.header), y, { bold: true });
+  y += 16;
+  doc.moveTo(50, y - 3).lineTo(545, y - 3).strokeColor('#ccc').stroke();
+
+  MEASUREMENTS.forEach(field => {
+    const status = classify(field, patient[field]);
+    drawRow(doc, [
+      REFERENCE_RANGES[field].label,
+      formatValue(field, patient[field]),
+      formatRange(field),
+      status || '—',
+    ], y, { colors: [null, null, null, STATUS_COLORS[status]] });
+    y += 16;
+  });
+  doc.x = 50;
+  doc.y = y + 10;
+
+  // Prediction
+  doc.font('Helvetica-Bold').fontSize(12).text('Result');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Prediction: ${patient.prediction ? 'Diabetic' : 'Not Diabetic'}`)
+    .text(`Estimated probability: ${Number(patient.precentage).toFixed(1)}%`)
+    .text(`Risk level: ${patient.riskLevel}`);
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(12).text('Recommendation');
+  doc.font('Helvetica').fontSize(10).text(patient.recommendation || 'No recommendation');
+  (Array.isArray(patient.recommendations) ? patient.recommendations : []).forEach(item => {
+    doc.moveDown(0.4);
+    doc.font('Helvetica-Bold').fontSize(10).text(item.title);
+    doc.font('Helvetica').fontSize(10).text(item.message);
+    if (item.reference) doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555').text(item.reference).fillColor('black');
+  });
+  doc.moveDown(2);
+
+  doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555').text(
+    'This report is a screening aid produced by a statistical model and is not a diagnosis. ' +
+    'Reference ranges are for adults; glucose is interpreted as fasting plasma glucose. ' +
+    'Please discuss these results with your clinician.'
+  );
+
+  doc.end();
+}
+
+module.exports = { writePatientReport };
@@ -0,0 +1,235 @@
+const { PrismaClient } = require('@prisma/client');
+const { RISK_LEVELS } = require('./patientQueryService');
+
+const prisma = new PrismaClient();
+
+// Used until an admin activates a version (and by databases not yet migrated)
+const DEFAULT_BANDS = [
+  { riskLevel: 'Low', min: 0, max: 40, recommendation: 'Maintain a healthy lifestyle and regular checkups.' },
+  { riskLevel: 'Moderate', min: 40, max: 70, recommendation: 'Monitor health regularly and consider lifestyle improvements like diet and exercise.' },
+  { riskLevel: 'High', min: 70, max: 90, recommendation: 'Consult a doctor and undergo further medical checkups.' },
+  { riskLevel: 'Critical', min: 90, max: 100, recommendation: 'Immediate medical consultation is required.' },
+];
+
+const PREVIEW_CHUNK_SIZE = 1000;
+const PREVIEW_SAMPLE_SIZE = 50;
+
+/**
+ * Validates risk bands. Bands must cover 0-100 without gaps or overlaps,
+ * in increasing order, each with a distinct risk level and a recommendation.
+ * A precentage falls in a band when `min <= precentage < max` (the last band
+ * includes 100).
+ * @param {*} bands - `[{ riskLevel, min, max, recommendation }]`.
+ * @returns {Array<Object>} - The normalized bands.
+ */
+function validateBands(bands) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error('bands must be a non-empty array');
+  }
+
+  const errors = [];
+  const normalized = bands.map((band, index) => {
+    const { riskLevel, recommendation } = band || {};
+    const min = Number(band?.min);
+    const max = Number(band?.max);
+
+    if (!RISK_LEVELS.includes(riskLevel)) {
+      errors.push(`bands[${index}].riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max > 100) {
+      errors.push(`bands[${index}] min and max must be numbers between 0 and 100`);
+    } else if (min >= max) {
+      errors.push(`bands[${index}].min must be lower than max`);
+    }
+    if (typeof recommendation !== 'string' || !recommendation.trim() || recommendation.length > 1000) {
+      errors.push(`bands[${index}].recommendation must be a non-empty text of at most 1000 characters`);
+    }
+
+    return { riskLevel, min, max, recommendation: typeof recommendation === 'string' ? recommendation.trim() : recommendation };
+  });
+
+  const levels = normalized.map(band => band.riskLevel);
+  const duplicates = levels.filter((level, index) => levels.indexOf(level) !== index);
+  if (duplicates.length > 0) {
+    errors.push(`Each risk level may appear once (duplicated: ${[...new Set(duplicates)].join(', ')})`);
+  }
+
+  if (normalized[0].min !== 0) errors.push('The first band must start at 0');
+  if (normalized[normalized.length - 1].max !== 100) errors.push('The last band must end at 100');
+  for (let index = 1; index < normalized.length; index++) {
+    const previous = normalized[index - 1];
+    const current = normalized[index];
+    if (current.min < previous.max) {
+      errors.push(`bands[${index}] overlaps bands[${index - 1}]; bands must be in increasing order`);
+    } else if (current.min > previous.max) {
+      errors.push(`Gap between bands[${index - 1}] and bands[${index}] (${previous.max} to ${current.min})`);
+    }
+  }
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+  return normalized;
+}
+
+/**
+ * Finds the band a precentage falls in.
+ * @param {number} precentage - Combined prediction probability (0-100).
+ * @param {Array<Object>} bands - Validated bands.
+ * @returns {Object} - The matching band.
+ */
+function findBand(precentage, bands) {
+  return bands.find(band => precentage >= band.min && precentage < band.max) || bands[bands.length - 1];
+}
+
+/**
+ * Returns the active version, or the built-in defaults (id null) if none.
+ * @returns {Promise<Object>} - `{ id, bands }`.
+ */
+async function getActiveVersion() {
+  const version = await prisma.riskThresholdVersion.findFirst({
+    where: { status: 'active' },
+    orderBy: { activatedAt: 'desc' },
+  });
+  return version || { id: null, status: 'active', bands: DEFAULT_BANDS };
+}
+
+/**
+ * Assigns the risk level and recommendation for a prediction using the
+ * active version.
+ * @param {number} precentage - Combined prediction probability (0-100).
+ * @returns {Promise<Object>} - `{ riskLevel, recommendation, thresholdVersionId }`.
+ */
+async function classify(precentage) {
+  const version = await getActiveVersion();
+  const { riskLevel, recommendation } = findBand(precentage, version.bands);
+  return { riskLevel, recommendation, thresholdVersionId: version.id };
+}
+
+async function listVersions() {
+  return prisma.riskThresholdVersion.findMany({ orderBy: { id: 'desc' } });
+}
+
+async function getVersion(id) {
+  return prisma.riskThresholdVersion.findUnique({ where: { id } });
+}
+
+/**
+ * Creates a draft version; drafts do not affect predictions until activated.
+ * @param {Array<Object>} bands - Risk bands (see validateBands).
+ * @param {string} userId - Admin creating the draft.
+ * @param {string} [notes] - Why the thresholds change.
+ */
+async function createDraft(bands, userId, notes) {
+  return prisma.riskThresholdVersion.create({
+    data: { bands: validateBands(bands), notes: notes || null, createdById: userId },
+  });
+}
+
+/**
+ * Edits a draft. Active and archived versions are immutable so patients
+ * keep pointing at the thresholds that were actually applied.
+ */
+async function updateDraft(id, bands, notes) {
+  const version = await getVersion(id);
+  if (!version) throw new Error('Threshold version not found');
+  if (version.status !== 'draft') throw new Error('Only draft versions can be edited');
+
+  return prisma.riskThresholdVersion.update({
+    where: { id },
+    data: { bands: validateBands(bands), ...(notes !== undefined ? { notes } : {}) },
+  });
+}
+
+/**
+ * Makes a draft the active version, archiving the previous one. Only new
+ * predictions use it; existing patients keep their recorded version.
+ */
+async function activateVersion(id, userId) {
+  const version = await getVersion(id);
+  if (!version) throw new Error('Threshold version not found');
+  if (version.status !== 'draft') throw new Error('Only draft versions can be activated');
+  validateBands(version.bands);
+
+  const [, activated] = await prisma.$transaction([
+    prisma.riskThresholdVersion.updateMany({ where: { status: 'active' }, data: { status: 'archived' } }),
+    prisma.riskThresholdVersion.update({
+      where: { id },
+      data: { status: 'active', activatedAt: new Date(), activatedById: userId },
+    }),
+  ]);
+  return activated;
+}
+
+/**
+ * Shows how existing patients would be re-classified under a version,
+ * comparing against each patient's current risk level.
+ * @param {Object} version - Version with `bands`.
+ * @returns {Promise<Object>} - `{ totalPatients, changed, transitions, samples }`.
+ */
+async function previewReclassification(version) {
+  const bands = validateBands(version.bands);
+  const transitions = new Map();
+  const samples = [];
+  let totalPatients = 0;
+  let changed = 0;
+  let cursor;
+
+  while (true) {
+    const chunk = await prisma.patient.findMany({
+      where: { deletedAt: null },
+      select: { Id: true, name: true, precentage: true, riskLevel: true, thresholdVersionId: true },
+      orderBy: { Id: 'asc' },
+      take: PREVIEW_CHUNK_SIZE,
+      ...(cursor !== undefined ? { cursor: { Id: cursor }, skip: 1 } : {}),
+    });
+    if (chunk.length === 0) break;
+
+    for (const patient of chunk) {
+      const { riskLevel } = findBand(patient.precentage, bands);
+      const key = `${patient.riskLevel}->${riskLevel}`;
+      transitions.set(key, (transitions.get(key) || 0) + 1);
+      totalPatients += 1;
+
+      if (riskLevel !== patient.riskLevel) {
+        changed += 1;
+        if (samples.length < PREVIEW_SAMPLE_SIZE) {
+          samples.push({
+            patientId: patient.Id,
+            name: patient.name,
+            precentage: patient.precentage,
+            currentRiskLevel: patient.riskLevel,
+            currentThresholdVersionId: patient.thresholdVersionId,
+            newRiskLevel: riskLevel,
+          });
+        }
+      }
+    }
+
+    if (chunk.length < PREVIEW_CHUNK_SIZE) break;
+    cursor = chunk[chunk.length - 1].Id;
+  }
+
+  return {
+    versionId: version.id ?? null,
+    totalPatients,
+    changed,
+    transitions: [...transitions.entries()].map(([key, count]) => {
+      const [from, to] = key.split('->');
+      return { from, to, count };
+    }),
+    samples,
+  };
+}
+
+module.exports = {
+  DEFAULT_BANDS,
+  validateBands,
+  findBand,
+  getActiveVersion,
+  classify,
+  listVersions,
+  getVersion,
+  createDraft,
+  updateDraft,
+  activateVersion,
+  previewReclassification,
+};
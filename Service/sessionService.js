@@ -0,0 +1,123 @@
+const { PrismaClient } = require("@prisma/client");
+const crypto = require("crypto");
+const auth = require("../middleware/auth");
+const auditService = require("./auditService");
+
+const prisma = new PrismaClient();
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const issueAccessToken = (user, sessionId) => auth.generateToken({
+  userId: user.id,
+  email: user.email,
+  role: user.role,
+  name: user.name,
+  sessionId,
+});
+
+/**
+ * Starts a new session and issues an access/refresh token pair.
+ * @param {Object} user - User record (`id`, `email`, `role`, `name`).
+ * @param {Object} [req] - Express request, used for IP and user agent.
+ * @returns {Promise<Object>} - `{ token, refreshToken, sessionId }`.
+ */
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: refreshTokenExpiry(),
+      ...auditService.requestContext(req),
+    },
+  });
+
+  return { token: issueAccessToken(user, session.id), refreshToken, sessionId: session.id };
+};
+
+/**
+ * Exchanges a refresh token for a new token pair. The presented token is
+ * revoked; presenting an already-rotated token revokes every session of the
+ * user, since it means the token was stolen.
+ * @param {string} refreshToken - The refresh token issued at login/last refresh.
+ * @param {Object} [req] - Express request, used for IP and user agent.
+ * @returns {Promise<Object>} - `{ token, refreshToken, sessionId }`.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: hashToken(refreshToken) },
+    include: { user: { select: { id: true, email: true, role: true, name: true } } },
+  });
+
+  if (!session) throw new Error("Invalid refresh token");
+
+  if (session.revokedAt) {
+    if (session.replacedById) {
+      await revokeAllSessions(session.userId);
+    }
+    throw new Error("Invalid refresh token");
+  }
+
+  if (session.expiresAt < new Date()) throw new Error("Refresh token has expired");
+
+  const newRefreshToken = crypto.randomBytes(48).toString("hex");
+
+  const newSession = await prisma.$transaction(async (tx) => {
+    const created = await tx.session.create({
+      data: {
+        userId: session.userId,
+        refreshTokenHash: hashToken(newRefreshToken),
+        expiresAt: refreshTokenExpiry(),
+        ...auditService.requestContext(req),
+      },
+    });
+    // Only one concurrent refresh may rotate the token; the loser rolls back
+    const { count } = await tx.session.updateMany({
+      where: { id: session.id, revokedAt: null },
+      data: { revokedAt: new Date(), replacedById: created.id },
+    });
+    if (count === 0) throw new Error("Invalid refresh token");
+    return created;
+  });
+
+  return {
+    token: issueAccessToken(session.user, newSession.id),
+    refreshToken: newRefreshToken,
+    sessionId: newSession.id,
+  };
+};
+
+/**
+ * Revokes a single session (logout).
+ * @param {string} sessionId - Session to revoke.
+ */
+const revokeSession = async (sessionId) => {
+  await prisma.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Revokes every session of a user (logout everywhere).
+ * @param {string} userId - The user whose sessions are revoked.
+ * @returns {Promise<number>} - Number of sessions revoked.
+ */
+const revokeAllSessions = async (userId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return count;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
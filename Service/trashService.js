@@ -0,0 +1,308 @@
+const { PrismaClient } = require('@prisma/client');
+const appService = require('./appService');
+const privacyService = require('./privacyService');
+const auditService = require('./auditService');
+
+const prisma = new PrismaClient();
+
+// Deleted users and patients stay in the trash (deletedAt set) until they are
+// restored, purged by an admin, or purged once older than the retention period
+
+const TRASH_TYPES = ['users', 'patients'];
+
+const RETENTION_SETTING_KEY = 'trashRetentionDays';
+const envRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+const DEFAULT_RETENTION_DAYS = Number.isInteger(envRetentionDays) && envRetentionDays >= 0 ? envRetentionDays : 30;
+const MAX_RETENTION_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+const inTrash = { deletedAt: { not: null } };
+
+/**
+ * Reads the retention period; 0 keeps trash until it is purged by hand.
+ * @returns {Promise<number>} - Days.
+ */
+async function getRetentionDays() {
+  const setting = await prisma.setting.findUnique({ where: { key: RETENTION_SETTING_KEY } });
+  return setting ? setting.value.days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Persists the retention period.
+ * @param {*} days - Whole number of days, 0 to disable automatic purging.
+ * @returns {Promise<number>} - The stored value.
+ */
+async function setRetentionDays(days) {
+  const value = Number(days);
+  if (!Number.isInteger(value) || value < 0 || value > MAX_RETENTION_DAYS) {
+    throw new Error(`retentionDays must be a whole number between 0 and ${MAX_RETENTION_DAYS}`);
+  }
+  await prisma.setting.upsert({
+    where: { key: RETENTION_SETTING_KEY },
+    update: { value: { days: value } },
+    create: { key: RETENTION_SETTING_KEY, value: { days: value } },
+  });
+  return value;
+}
+
+const purgeDate = (deletedAt, retentionDays) =>
+  (retentionDays > 0 ? new Date(deletedAt.getTime() + retentionDays * DAY_MS) : null);
+
+/**
+ * Moves a user to the trash. They are signed out everywhere and their
+ * patients go to the trash with them, stamped with the same time so that
+ * restoring the user brings them back.
+ * @param {string} userId - The user to delete.
+ * @param {string} deletedById - The acting user.
+ * @returns {Promise<Object>} - The user (`{ id, email, name, role, deletedAt }`)
+ *   and the number of patients moved with them.
+ * @throws {Error} - "User not found", or when deleting the last superadmin.
+ */
+async function softDeleteUser(userId, deletedById) {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findFirst({
+      where: { id: userId, deletedAt: null },
+      select: { id: true, email: true, name: true, role: true },
+    });
+    if (!user) throw new Error('User not found');
+
+    if (user.role === 'superadmin' && await tx.user.count({ where: { role: 'superadmin', deletedAt: null } }) <= 1) {
+      throw new Error('Cannot delete the last superadmin');
+    }
+
+    const deletedAt = new Date();
+    await tx.user.update({
+      where: { id: userId },
+      data: { deletedAt, deletedById, credentialsChangedAt: deletedAt, resetToken: null, resetTokenExpiry: null },
+    });
+    await tx.session.updateMany({ where: { userId, revokedAt: null }, data: { revokedAt: deletedAt } });
+    const patients = await tx.patient.updateMany({ where: { userId, deletedAt: null }, data: { deletedAt, deletedById } });
+
+    return { user: { ...user, deletedAt }, patients: patients.count };
+  });
+}
+
+/**
+ * Moves a patient, with their assessments and notifications, to the trash.
+ * @param {number} patientId - The patient's Id.
+ * @param {string} deletedById - The acting user.
+ * @throws {Error} - "Patient not found" when missing or already deleted.
+ */
+async function softDeletePatient(patientId, deletedById) {
+  const { count } = await prisma.patient.updateMany({
+    where: { Id: patientId, deletedAt: null },
+    data: { deletedAt: new Date(), deletedById },
+  });
+  if (count === 0) throw new Error('Patient not found');
+}
+
+async function userNames(ids) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (unique.length === 0) return {};
+  const users = await prisma.user.findMany({ where: { id: { in: unique } }, select: { id: true, name: true } });
+  return Object.fromEntries(users.map(user => [user.id, user.name]));
+}
+
+/**
+ * Lists the trash, most recently deleted first.
+ * @param {string} type - One of TRASH_TYPES.
+ * @param {Object} pagination - `{ page, limit }`.
+ * @returns {Promise<Object>} - `{ data, meta: { page, limit, total, totalPages,
+ *   retentionDays } }`; each item has `deletedBy` (name) and `purgeAt`.
+ */
+async function listTrash(type, { page, limit }) {
+  if (!TRASH_TYPES.includes(type)) throw new Error(`Invalid trash type (use ${TRASH_TYPES.join(', ')})`);
+
+  const skip = (page - 1) * limit;
+  const [items, total, retentionDays] = await Promise.all([
+    type === 'users'
+      ? prisma.user.findMany({
+        where: inTrash,
+        select: {
+          id: true, email: true, name: true, role: true, createdAt: true, deletedAt: true, deletedById: true,
+          _count: { select: { patients: true } },
+        },
+        orderBy: { deletedAt: 'desc' },
+        skip,
+        take: limit,
+      })
+      : prisma.patient.findMany({
+        where: inTrash,
+        select: {
+          Id: true, name: true, riskLevel: true, CreatedAt: true, deletedAt: true, deletedById: true, userId: true,
+          user: { select: { name: true, email: true, deletedAt: true } },
+        },
+        orderBy: { deletedAt: 'desc' },
+        skip,
+        take: limit,
+      }),
+    type === 'users' ? prisma.user.count({ where: inTrash }) : prisma.patient.count({ where: inTrash }),
+    getRetentionDays(),
+  ]);
+
+  const names = await userNames(items.map(item => item.deletedById));
+  const data = items.map(item => ({
+    ...item,
+    deletedBy: names[item.deletedById] || null,
+    purgeAt: purgeDate(item.deletedAt, retentionDays),
+  }));
+
+  return { data, meta: { page, limit, total, totalPages: Math.ceil(total / limit), retentionDays } };
+}
+
+/**
+ * Restores a user from the trash, with the patients deleted together with them.
+ * @param {string} userId - The user's id.
+ * @returns {Promise<Object>} - `{ user, patients }` (patients restored).
+ * @throws {Error} - "User not found in trash".
+ */
+async function restoreUser(userId) {
+  return prisma.$transaction(async (tx) => {
+    const user = await tx.user.findFirst({
+      where: { id: userId, ...inTrash },
+      select: { id: true, email: true, name: true, role: true, deletedAt: true, deletedById: true },
+    });
+    if (!user) throw new Error('User not found in trash');
+
+    await tx.user.update({ where: { id: userId }, data: { deletedAt: null, deletedById: null } });
+    const patients = await tx.patient.updateMany({
+      where: { userId, deletedAt: user.deletedAt },
+      data: { deletedAt: null, deletedById: null },
+    });
+
+    return { user, patients: patients.count };
+  });
+}
+
+/**
+ * Restores a patient from the trash.
+ * @param {number} patientId - The patient's Id.
+ * @returns {Promise<Object>} - The patient as it was in the trash.
+ * @throws {Error} - "Patient not found in trash", or when the owner is
+ *   still in the trash.
+ */
+async function restorePatient(patientId) {
+  const patient = await prisma.patient.findFirst({
+    where: { Id: patientId, ...inTrash },
+    select: { Id: true, name: true, userId: true, deletedAt: true, deletedById: true, user: { select: { deletedAt: true } } },
+  });
+  if (!patient) throw new Error('Patient not found in trash');
+  if (patient.user.deletedAt) throw new Error('Cannot restore a patient whose owner is in the trash; restore the user first');
+
+  await prisma.patient.update({ where: { Id: patientId }, data: { deletedAt: null, deletedById: null } });
+  const { user, ...restored } = patient;
+  return restored;
+}
+
+/**
+ * Permanently erases a user in the trash (see privacyService.eraseUser).
+ * @param {string} userId - The user's id.
+ * @returns {Promise<Object>} - Counts of deleted records.
+ * @throws {Error} - "User not found in trash".
+ */
+async function purgeUser(userId) {
+  const user = await prisma.user.findFirst({ where: { id: userId, ...inTrash }, select: { id: true } });
+  if (!user) throw new Error('User not found in trash');
+  return privacyService.eraseUser(userId);
+}
+
+/**
+ * Permanently deletes a patient in the trash, with their assessments.
+ * @param {number} patientId - The patient's Id.
+ * @throws {Error} - "Patient not found in trash".
+ */
+async function purgePatient(patientId) {
+  const patient = await prisma.patient.findFirst({ where: { Id: patientId, ...inTrash }, select: { Id: true } });
+  if (!patient) throw new Error('Patient not found in trash');
+  await appService.deletePatient(patientId);
+}
+
+/**
+ * Purges users and patients that have been in the trash longer than the
+ * retention period. Users go first, since erasing one also removes their
+ * patients. Each purge is audited as a system action.
+ * @returns {Promise<Object>} - `{ users, patients }` purged.
+ */
+async function purgeExpired() {
+  const retentionDays = await getRetentionDays();
+  if (retentionDays === 0) return { users: 0, patients: 0 };
+
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const purged = { users: 0, patients: 0 };
+
+  const users = await prisma.user.findMany({ where: { deletedAt: { lt: cutoff } }, select: { id: true, deletedAt: true } });
+  for (const user of users) {
+    try {
+      const erased = await privacyService.eraseUser(user.id);
+      purged.users += 1;
+      await auditService.record({
+        system: true,
+        action: `Purged user from trash after ${retentionDays} days`,
+        actionType: auditService.AUDIT_ACTIONS.PURGE,
+        targetType: 'User',
+        targetId: user.id,
+        details: { deletedAt: user.deletedAt, ...erased },
+      });
+    } catch (error) {
+      console.error(`❌ Failed to purge user ${user.id}:`, error.message);
+    }
+  }
+
+  const patients = await prisma.patient.findMany({ where: { deletedAt: { lt: cutoff } }, select: { Id: true, deletedAt: true } });
+  for (const patient of patients) {
+    try {
+      await appService.deletePatient(patient.Id);
+      purged.patients += 1;
+      await auditService.record({
+        system: true,
+        action: `Purged patient from trash after ${retentionDays} days`,
+        actionType: auditService.AUDIT_ACTIONS.PURGE,
+        targetType: 'Patient',
+        targetId: patient.Id,
+        details: { deletedAt: patient.deletedAt },
+      });
+    } catch (error) {
+      console.error(`❌ Failed to purge patient ${patient.Id}:`, error.message);
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Starts the retention job (runs every TRASH_PURGE_INTERVAL_MS).
+ */
+function startTrashPurgeJob() {
+  let running = false;
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await purgeExpired();
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+
+  return purgeExpired();
+}
+
+module.exports = {
+  TRASH_TYPES,
+  getRetentionDays,
+  setRetentionDays,
+  softDeleteUser,
+  softDeletePatient,
+  listTrash,
+  restoreUser,
+  restorePatient,
+  purgeUser,
+  purgePatient,
+  purgeExpired,
+  startTrashPurgeJob,
+};
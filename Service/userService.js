@@ -4,7 +4,10 @@ const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
 
 const queries = require("../database/queries");
-// const { sendPasswordResetEmail } = require('./emailService'); // Uncomment when you add email service
+const sessionService = require("./sessionService");
+const { PERMISSIONS, hasPermission, roleChangeError } = require("../middleware/permissions");
+const emailService = require("./emailService");
+const privacyService = require("./privacyService");
 
 // ======================
 // Validation
@@ -23,17 +26,21 @@ const checkIfFound = async (email) => {
   return user || null;
 };
 
-const registerUser = async (email, name, pass, requesterRole = "user", role = "user") => {
-  if (role === "admin" && requesterRole !== "admin") {
-    throw new Error("Admin privileges required to create admin accounts");
+const registerUser = async (email, name, pass, requesterRole = "clinician", role = "clinician") => {
+  if (role !== "clinician" && !hasPermission(requesterRole, PERMISSIONS.ROLES_ASSIGN)) {
+    throw new Error("Admin privileges required to create privileged accounts");
   }
 
   const encryptedPassword = await bcrypt.hash(pass, 10);
   return queries.createUser(email, name, encryptedPassword, role);
 };
 
+// Compared against when the account does not exist, so response time doesn't reveal it
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
 const verifyPassword = async (enteredPassword, storedHash) => {
-  return bcrypt.compare(enteredPassword, storedHash);
+  const matches = await bcrypt.compare(String(enteredPassword || ""), storedHash || DUMMY_HASH);
+  return Boolean(storedHash) && matches;
 };
 
 // ======================
@@ -44,24 +51,30 @@ const getAllUsers = async () => {
 };
 
 const updateUserRole = async (userId, newRole, adminId) => {
-  const admin = await queries.findUserById(adminId);
-  if (admin.id === userId && newRole !== "admin") {
-    throw new Error("Admins cannot demote themselves");
-  }
+  const [admin, target] = await Promise.all([queries.findUserById(adminId), queries.findUserById(userId)]);
+  if (!target) throw new Error("User not found");
+
+  const forbidden = roleChangeError({ userId: admin.id, role: admin.role }, target, newRole);
+  if (forbidden) throw new Error(forbidden);
+
   return queries.updateUserRole(userId, newRole);
 };
 
+// Full erasure; a plain delete fails on the user's patients and feedback
 const deleteUser = async (userId) => {
-  return queries.deleteUser(userId);
+  return privacyService.eraseUser(userId);
 };
 
 // ======================
 // Password Reset Logic
 // ======================
+// Same response whether or not the email belongs to an account
+const PASSWORD_RESET_MESSAGE = "If an account exists for that email, password reset instructions have been sent";
+
 const initiatePasswordReset = async (email) => {
   try {
     const user = await checkIfFound(email);
-    if (!user) throw new Error("User not found");
+    if (!user || user.deletedAt) return { message: PASSWORD_RESET_MESSAGE };
 
     const resetToken = crypto.randomBytes(32).toString("hex");
     const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour
@@ -71,11 +84,14 @@ const initiatePasswordReset = async (email) => {
       resetTokenExpiry: resetTokenExpiry
     });
 
-    // Send email (placeholder)
-    // await sendPasswordResetEmail(email, resetToken);
+    const frontendUrl = process.env.FRONTEND_URL || "http://127.0.0.1:3000";
+    await emailService.queueEmail("passwordReset", user.email, {
+      resetUrl: `${frontendUrl}/reset-password?token=${resetToken}&email=${encodeURIComponent(user.email)}`,
+      expiresInMinutes: 60
+    });
 
     return {
-      message: "Password reset initiated",
+      message: PASSWORD_RESET_MESSAGE,
       resetToken: process.env.NODE_ENV === "development" ? resetToken : undefined
     };
   } catch (error) {
@@ -113,9 +129,17 @@ const updateUserPassword = async (email, newPassword) => {
     await queries.updateUser(user.id, {
       password: hashedPassword,
       resetToken: null,
-      resetTokenExpiry: null
+      resetTokenExpiry: null,
+      credentialsChangedAt: new Date(),
+      // Proving ownership of the mailbox also lifts any login lockout
+      failedLoginAttempts: 0,
+      lockoutCount: 0,
+      lockedUntil: null
     });
 
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user.id);
+
     return { message: "Password updated successfully" };
   } catch (error) {
     throw new Error(`Password update failed: ${error.message}`);
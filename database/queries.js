@@ -5,7 +5,7 @@ const prisma = new PrismaClient();
 // User Operations
 // ======================
 
-const createUser = async (email, name, password, role = "user") => {
+const createUser = async (email, name, password, role = "clinician") => {
   return prisma.user.create({
     data: { email, name, password, role },
   });
@@ -14,19 +14,25 @@ const createUser = async (email, name, password, role = "user") => {
 const findUserByEmail = async (email) => {
   return prisma.user.findUnique({
     where: { email },
-    select: { id: true, email: true, name: true, role: true, password: true },
+    select: {
+      id: true, email: true, name: true, role: true, password: true,
+      resetToken: true, resetTokenExpiry: true,
+      failedLoginAttempts: true, lockoutCount: true, lockedUntil: true, deletedAt: true,
+    },
   });
 };
 
+// Users in the trash are left out
 const findUserById = async (userId) => {
-  return prisma.user.findUnique({
-    where: { id: userId },
+  return prisma.user.findFirst({
+    where: { id: userId, deletedAt: null },
     select: { id: true, email: true, name: true, role: true },
   });
 };
 
 const getAllUsers = async () => {
   return prisma.user.findMany({
+    where: { deletedAt: null },
     select: { id: true, email: true, name: true, role: true, createdAt: true },
   });
 };
@@ -34,7 +40,7 @@ const getAllUsers = async () => {
 const updateUserRole = async (userId, newRole) => {
   return prisma.user.update({
     where: { id: userId },
-    data: { role: newRole },
+    data: { role: newRole, credentialsChangedAt: new Date() },
     select: { id: true, email: true, role: true },
   });
 };
@@ -51,7 +57,7 @@ const deleteUser = async (userId) => {
 
 const getAllPatientsOfUser = async (userId) => {
   return prisma.patient.findMany({
-    where: { userId },
+    where: { userId, deletedAt: null },
     select: {
       id: true,
       name: true,
@@ -88,7 +94,7 @@ const updatePatientStatus = async (patientId, predictionData) => {
 
 const findAdminUsers = async () => {
   return prisma.user.findMany({
-    where: { role: "admin" },
+    where: { role: { in: ["admin", "superadmin"] }, deletedAt: null },
     select: { id: true, email: true, name: true },
   });
 };
@@ -0,0 +1,17 @@
+const auditService = require('../Service/auditService');
+
+/**
+ * Records an audit entry once the response has been sent successfully.
+ * @param {string} actionType - One of auditService.AUDIT_ACTIONS.
+ * @param {Function} describe - `(req, res) => ({ action, targetType, targetId, details })`.
+ */
+const auditAction = (actionType, describe) => (req, res, next) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400 || !req.user?.userId) return;
+    const entry = describe ? describe(req, res) : {};
+    auditService.record({ userId: req.user.userId, actionType, action: actionType, ...entry }, req);
+  });
+  next();
+};
+
+module.exports = { auditAction };
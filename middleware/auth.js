@@ -2,6 +2,10 @@
 require('dotenv').config();
 require("dotenv").config();
 const jwt = require("jsonwebtoken");
+const { PrismaClient } = require("@prisma/client");
+const { hasPermission } = require("./permissions");
+
+const prisma = new PrismaClient();
 
 // Secret key validation
 const secretKey = process.env.TOKEN;
@@ -9,41 +13,85 @@ if (!secretKey) {
   throw new Error("TOKEN environment variable is not set!");
 }
 
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
 // auth.js
 const generateToken = (user) => {
-  console.log("Generating token for user:", user);
   return jwt.sign(
     {
       userId: user.userId,  // Key matches your controller's usage
       email: user.email,
       role: user.role,
-      username: user.name  // Add username here
+      username: user.name,  // Add username here
+      sid: user.sessionId   // Session the token belongs to (for revocation)
     },
     secretKey,
-    { expiresIn: "2h" }
+    { expiresIn: ACCESS_TOKEN_TTL }
   );
 };
 
-const authenticate = (req, res, next) => {
+// Whether the session behind decoded token claims still stands: not revoked,
+// and no role/password change since the token was issued
+const isSessionActive = async (claims) => {
+  const session = await prisma.session.findUnique({
+    where: { id: claims.sid },
+    select: {
+      userId: true,
+      revokedAt: true,
+      user: { select: { role: true, credentialsChangedAt: true } },
+    },
+  });
+
+  return Boolean(
+    session &&
+    !session.revokedAt &&
+    session.userId === claims.userId &&
+    session.user.role === claims.role &&
+    claims.iat >= Math.floor(session.user.credentialsChangedAt.getTime() / 1000)
+  );
+};
+
+const authenticate = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
     return res.status(401).json({ error: "Invalid authorization format" });
   }
   const token = authHeader.split(" ")[1];
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, secretKey);
-    console.log("Decoded Token:", decoded);
+    decoded = jwt.verify(token, secretKey);
+  } catch (error) {
+    return res.status(401).json({ error: "Invalid/Expired token" });
+  }
+
+  try {
+    if (!decoded.sid) {
+      return res.status(401).json({ error: "Invalid/Expired token" });
+    }
+
+    if (!(await isSessionActive(decoded))) {
+      return res.status(401).json({ error: "Session has been revoked. Please log in again" });
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
-    return res.status(401).json({ error: "Invalid/Expired token" });
+    console.error("Authentication error:", error);
+    return res.status(500).json({ error: "Internal server error" });
   }
 };
 
 const isAdmin = (req, res, next) => {
-  if (req.user?.role === "admin") return next();
+  if (["admin", "superadmin"].includes(req.user?.role)) return next();
   res.status(403).json({ error: "Forbidden: Admins only" });
 };
 
-module.exports = { generateToken, authenticate, isAdmin };
\ No newline at end of file
+// Allows the request when the user's role grants any of the given permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.some(permission => hasPermission(req.user?.role, permission))) return next();
+  res.status(403).json({ error: `Forbidden: requires ${permissions.join(" or ")}` });
+};
+
+module.exports = { generateToken, authenticate, isSessionActive, isAdmin, requirePermission };
@@ -0,0 +1,78 @@
+// Roles, ordered from least to most privileged
+const ROLES = ['clinician', 'reviewer', 'moderator', 'admin', 'superadmin'];
+
+const PERMISSIONS = {
+  PATIENTS_READ_OWN: 'patients:read:own',
+  PATIENTS_READ_ANY: 'patients:read:any',
+  PATIENTS_WRITE_OWN: 'patients:write:own',
+  PATIENTS_WRITE_ANY: 'patients:write:any',
+  PATIENTS_DELETE_OWN: 'patients:delete:own',
+  PATIENTS_DELETE_ANY: 'patients:delete:any',
+  PREDICTIONS_RUN: 'predictions:run',
+  EXPORTS_RUN: 'exports:run',
+  STATS_READ: 'stats:read',
+  USERS_READ: 'users:read',
+  USERS_MANAGE: 'users:manage',
+  ROLES_ASSIGN: 'roles:assign',
+  AUDIT_READ: 'audit:read',
+  FEEDBACK_READ: 'feedback:read',
+  FEEDBACK_MANAGE: 'feedback:manage',
+  SETTINGS_MANAGE: 'settings:manage',
+};
+
+const CLINICIAN_PERMISSIONS = [
+  PERMISSIONS.PATIENTS_READ_OWN,
+  PERMISSIONS.PATIENTS_WRITE_OWN,
+  PERMISSIONS.PATIENTS_DELETE_OWN,
+  PERMISSIONS.PREDICTIONS_RUN,
+];
+
+const ROLE_PERMISSIONS = {
+  clinician: CLINICIAN_PERMISSIONS,
+  reviewer: [
+    ...CLINICIAN_PERMISSIONS,
+    PERMISSIONS.PATIENTS_READ_ANY,
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.FEEDBACK_READ,
+  ],
+  moderator: [
+    ...CLINICIAN_PERMISSIONS,
+    PERMISSIONS.PATIENTS_READ_ANY,
+    PERMISSIONS.STATS_READ,
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.FEEDBACK_READ,
+    PERMISSIONS.FEEDBACK_MANAGE,
+  ],
+  admin: Object.values(PERMISSIONS),
+  superadmin: Object.values(PERMISSIONS),
+};
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+/**
+ * Whether a role grants a permission.
+ * @param {string} role - One of ROLES.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Whether an actor may move a target user from their current role to a new one.
+ * Nobody changes their own role; only a superadmin may touch users at or
+ * above the actor's own rank, or grant a role above it.
+ * @param {Object} actor - `{ userId, role }` from the token.
+ * @param {Object} target - `{ id, role }` of the user being changed.
+ * @param {string} newRole - The requested role.
+ * @returns {string|null} - Reason the change is not allowed, or null.
+ */
+const roleChangeError = (actor, target, newRole) => {
+  if (!ROLES.includes(newRole)) return 'Invalid role specified';
+  if (actor.userId === target.id) return 'You cannot change your own role';
+  if (actor.role === 'superadmin') return null;
+  if (roleRank(target.role) >= roleRank(actor.role)) return 'Cannot change the role of a user at or above your level';
+  if (roleRank(newRole) > roleRank(actor.role)) return 'Cannot grant a role above your own';
+  return null;
+};
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, hasPermission, roleChangeError };
@@ -0,0 +1,40 @@
+const rateLimit = require("express-rate-limit");
+
+// Same message for IP throttling and account lockout, so neither reveals whether an account exists
+const TOO_MANY_ATTEMPTS = "Too many attempts. Please try again later.";
+
+const baseOptions = {
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { error: TOO_MANY_ATTEMPTS },
+};
+
+const normalizedEmail = (req) => String(req.body?.email || "").trim().toLowerCase();
+
+// Per-IP limits
+const loginLimiter = rateLimit({ ...baseOptions, windowMs: 15 * 60 * 1000, limit: 20 });
+const registerLimiter = rateLimit({ ...baseOptions, windowMs: 60 * 60 * 1000, limit: 10 });
+const passwordResetLimiter = rateLimit({ ...baseOptions, windowMs: 15 * 60 * 1000, limit: 10 });
+
+// Per-account limits, keyed by the email in the request body
+const loginAccountLimiter = rateLimit({
+  ...baseOptions,
+  windowMs: 15 * 60 * 1000,
+  limit: 10,
+  keyGenerator: (req) => `login:${normalizedEmail(req)}`,
+});
+const passwordResetAccountLimiter = rateLimit({
+  ...baseOptions,
+  windowMs: 60 * 60 * 1000,
+  limit: 5,
+  keyGenerator: (req) => `reset:${normalizedEmail(req)}`,
+});
+
+module.exports = {
+  TOO_MANY_ATTEMPTS,
+  loginLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+  passwordResetAccountLimiter,
+};
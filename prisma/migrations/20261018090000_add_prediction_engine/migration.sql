@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN     "engine" TEXT NOT NULL DEFAULT 'remote',
+ADD COLUMN     "engineFallbackReason" TEXT;
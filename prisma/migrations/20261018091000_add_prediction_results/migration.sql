@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN     "strategy" TEXT NOT NULL DEFAULT 'max';
+
+-- CreateTable
+CREATE TABLE "PredictionResult" (
+    "id" SERIAL NOT NULL,
+    "patientId" INTEGER NOT NULL,
+    "model" TEXT NOT NULL,
+    "prediction" BOOLEAN NOT NULL,
+    "precentage" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PredictionResult_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Setting" (
+    "key" TEXT NOT NULL,
+    "value" JSONB NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Setting_pkey" PRIMARY KEY ("key")
+);
+
+-- CreateIndex
+CREATE INDEX "PredictionResult_patientId_idx" ON "PredictionResult"("patientId");
+
+-- AddForeignKey
+ALTER TABLE "PredictionResult" ADD CONSTRAINT "PredictionResult_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("Id") ON DELETE RESTRICT ON UPDATE CASCADE;
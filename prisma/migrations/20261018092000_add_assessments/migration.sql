@@ -0,0 +1,72 @@
+-- CreateTable
+CREATE TABLE "Assessment" (
+    "id" SERIAL NOT NULL,
+    "patientId" INTEGER NOT NULL,
+    "userId" TEXT NOT NULL,
+    "Age" INTEGER NOT NULL,
+    "BMI" DOUBLE PRECISION NOT NULL,
+    "Insulin" DOUBLE PRECISION NOT NULL,
+    "Pregnancies" INTEGER NOT NULL,
+    "Glucose" DOUBLE PRECISION NOT NULL,
+    "BloodPressure" DOUBLE PRECISION NOT NULL,
+    "SkinThickness" DOUBLE PRECISION NOT NULL,
+    "DiabetesPedigreeFunction" DOUBLE PRECISION NOT NULL,
+    "prediction" BOOLEAN NOT NULL,
+    "precentage" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "riskLevel" TEXT NOT NULL DEFAULT 'Low',
+    "recommendation" TEXT,
+    "engine" TEXT NOT NULL DEFAULT 'remote',
+    "engineFallbackReason" TEXT,
+    "strategy" TEXT NOT NULL DEFAULT 'max',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Assessment_pkey" PRIMARY KEY ("id")
+);
+
+-- Backfill: every existing patient row becomes that patient's first assessment
+INSERT INTO "Assessment" (
+    "patientId", "userId", "Age", "BMI", "Insulin", "Pregnancies", "Glucose",
+    "BloodPressure", "SkinThickness", "DiabetesPedigreeFunction", "prediction",
+    "precentage", "riskLevel", "recommendation", "engine", "engineFallbackReason",
+    "strategy", "createdAt"
+)
+SELECT
+    "Id", "userId", "Age", "BMI", "Insulin", "Pregnancies", "Glucose",
+    "BloodPressure", "SkinThickness", "DiabetesPedigreeFunction", "prediction",
+    "precentage", "riskLevel", "recommendation", "engine", "engineFallbackReason",
+    "strategy", "CreatedAt"
+FROM "Patient";
+
+-- AlterTable: move per-model results from the patient to its assessment
+ALTER TABLE "PredictionResult" ADD COLUMN     "assessmentId" INTEGER;
+
+UPDATE "PredictionResult" pr
+SET "assessmentId" = a."id"
+FROM "Assessment" a
+WHERE a."patientId" = pr."patientId";
+
+ALTER TABLE "PredictionResult" ALTER COLUMN "assessmentId" SET NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE "PredictionResult" DROP CONSTRAINT "PredictionResult_patientId_fkey";
+
+-- DropIndex
+DROP INDEX "PredictionResult_patientId_idx";
+
+-- AlterTable
+ALTER TABLE "PredictionResult" DROP COLUMN "patientId";
+
+-- CreateIndex
+CREATE INDEX "Assessment_patientId_createdAt_idx" ON "Assessment"("patientId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PredictionResult_assessmentId_idx" ON "PredictionResult"("assessmentId");
+
+-- AddForeignKey
+ALTER TABLE "Assessment" ADD CONSTRAINT "Assessment_patientId_fkey" FOREIGN KEY ("patientId") REFERENCES "Patient"("Id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Assessment" ADD CONSTRAINT "Assessment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "PredictionResult" ADD CONSTRAINT "PredictionResult_assessmentId_fkey" FOREIGN KEY ("assessmentId") REFERENCES "Assessment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
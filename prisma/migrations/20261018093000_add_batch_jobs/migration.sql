@@ -0,0 +1,47 @@
+-- CreateTable
+CREATE TABLE "BatchJob" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "totalRows" INTEGER NOT NULL DEFAULT 0,
+    "processedRows" INTEGER NOT NULL DEFAULT 0,
+    "succeededRows" INTEGER NOT NULL DEFAULT 0,
+    "failedRows" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "BatchJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BatchJobRow" (
+    "id" SERIAL NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "rowNumber" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "input" JSONB NOT NULL,
+    "error" TEXT,
+    "patientId" INTEGER,
+    "assessmentId" INTEGER,
+    "prediction" BOOLEAN,
+    "precentage" DOUBLE PRECISION,
+    "riskLevel" TEXT,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BatchJobRow_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BatchJob_userId_createdAt_idx" ON "BatchJob"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "BatchJobRow_jobId_status_idx" ON "BatchJobRow"("jobId", "status");
+
+-- AddForeignKey
+ALTER TABLE "BatchJob" ADD CONSTRAINT "BatchJob_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BatchJobRow" ADD CONSTRAINT "BatchJobRow_jobId_fkey" FOREIGN KEY ("jobId") REFERENCES "BatchJob"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,20 @@
+-- DropForeignKey
+ALTER TABLE "AuditLog" DROP CONSTRAINT "AuditLog_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN     "after" JSONB,
+ADD COLUMN     "before" JSONB,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "targetId" TEXT,
+ADD COLUMN     "targetType" TEXT,
+ADD COLUMN     "userAgent" TEXT,
+ALTER COLUMN "userId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "AuditLog_userId_createdAt_idx" ON "AuditLog"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_actionType_createdAt_idx" ON "AuditLog"("actionType", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "AuditLog" ADD CONSTRAINT "AuditLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
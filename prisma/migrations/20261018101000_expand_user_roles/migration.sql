@@ -0,0 +1,16 @@
+/*
+  Replaces the `user` role with `clinician` and adds reviewer, moderator and
+  superadmin. Existing `user` accounts become clinicians.
+*/
+-- AlterEnum
+BEGIN;
+CREATE TYPE "UserRole_new" AS ENUM ('clinician', 'reviewer', 'moderator', 'admin', 'superadmin');
+ALTER TABLE "User" ALTER COLUMN "role" DROP DEFAULT;
+ALTER TABLE "User" ALTER COLUMN "role" TYPE "UserRole_new" USING (
+  CASE WHEN "role"::text = 'user' THEN 'clinician' ELSE "role"::text END
+)::"UserRole_new";
+ALTER TYPE "UserRole" RENAME TO "UserRole_old";
+ALTER TYPE "UserRole_new" RENAME TO "UserRole";
+DROP TYPE "UserRole_old";
+ALTER TABLE "User" ALTER COLUMN "role" SET DEFAULT 'clinician';
+COMMIT;
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Patient_userId_CreatedAt_idx" ON "Patient"("userId", "CreatedAt");
+
+-- CreateIndex
+CREATE INDEX "Patient_CreatedAt_idx" ON "Patient"("CreatedAt");
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Patient" ALTER COLUMN "Insulin" DROP NOT NULL,
+ALTER COLUMN "Pregnancies" DROP NOT NULL,
+ALTER COLUMN "BloodPressure" DROP NOT NULL,
+ALTER COLUMN "SkinThickness" DROP NOT NULL,
+ALTER COLUMN "DiabetesPedigreeFunction" DROP NOT NULL,
+ADD COLUMN     "imputedFields" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- AlterTable
+ALTER TABLE "Assessment" ALTER COLUMN "Insulin" DROP NOT NULL,
+ALTER COLUMN "Pregnancies" DROP NOT NULL,
+ALTER COLUMN "BloodPressure" DROP NOT NULL,
+ALTER COLUMN "SkinThickness" DROP NOT NULL,
+ALTER COLUMN "DiabetesPedigreeFunction" DROP NOT NULL,
+ADD COLUMN     "imputedFields" TEXT[] DEFAULT ARRAY[]::TEXT[];
+
+-- A zero insulin, skin thickness or diastolic pressure was a blank form field
+UPDATE "Patient" SET "Insulin" = NULL WHERE "Insulin" = 0;
+UPDATE "Patient" SET "SkinThickness" = NULL WHERE "SkinThickness" = 0;
+UPDATE "Patient" SET "BloodPressure" = NULL WHERE "BloodPressure" = 0;
+UPDATE "Assessment" SET "Insulin" = NULL WHERE "Insulin" = 0;
+UPDATE "Assessment" SET "SkinThickness" = NULL WHERE "SkinThickness" = 0;
+UPDATE "Assessment" SET "BloodPressure" = NULL WHERE "BloodPressure" = 0;
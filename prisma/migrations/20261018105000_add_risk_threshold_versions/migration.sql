@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "thresholdVersionId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN     "thresholdVersionId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "RiskThresholdVersion" (
+    "id" SERIAL NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "bands" JSONB NOT NULL,
+    "notes" TEXT,
+    "createdById" TEXT,
+    "activatedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "activatedAt" TIMESTAMP(3),
+
+    CONSTRAINT "RiskThresholdVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RiskThresholdVersion_status_idx" ON "RiskThresholdVersion"("status");
+
+-- AddForeignKey
+ALTER TABLE "Patient" ADD CONSTRAINT "Patient_thresholdVersionId_fkey" FOREIGN KEY ("thresholdVersionId") REFERENCES "RiskThresholdVersion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Assessment" ADD CONSTRAINT "Assessment_thresholdVersionId_fkey" FOREIGN KEY ("thresholdVersionId") REFERENCES "RiskThresholdVersion"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Version 1 holds the cut-offs that were hard-coded until now; existing
+-- patients and assessments were classified with it
+INSERT INTO "RiskThresholdVersion" ("status", "bands", "notes", "updatedAt", "activatedAt")
+VALUES (
+    'active',
+    '[
+      {"riskLevel": "Low", "min": 0, "max": 40, "recommendation": "Maintain a healthy lifestyle and regular checkups."},
+      {"riskLevel": "Moderate", "min": 40, "max": 70, "recommendation": "Monitor health regularly and consider lifestyle improvements like diet and exercise."},
+      {"riskLevel": "High", "min": 70, "max": 90, "recommendation": "Consult a doctor and undergo further medical checkups."},
+      {"riskLevel": "Critical", "min": 90, "max": 100, "recommendation": "Immediate medical consultation is required."}
+    ]'::jsonb,
+    'Initial thresholds',
+    CURRENT_TIMESTAMP,
+    CURRENT_TIMESTAMP
+);
+
+UPDATE "Patient" SET "thresholdVersionId" = (SELECT MIN("id") FROM "RiskThresholdVersion");
+UPDATE "Assessment" SET "thresholdVersionId" = (SELECT MIN("id") FROM "RiskThresholdVersion");
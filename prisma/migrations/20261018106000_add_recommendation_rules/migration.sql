@@ -0,0 +1,62 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "recommendations" JSONB;
+
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN     "recommendations" JSONB;
+
+-- CreateTable
+CREATE TABLE "RecommendationRule" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "operator" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "valueMax" DOUBLE PRECISION,
+    "riskLevels" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "message" TEXT NOT NULL,
+    "category" TEXT NOT NULL DEFAULT 'general',
+    "priority" INTEGER NOT NULL DEFAULT 3,
+    "reference" TEXT,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RecommendationRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RecommendationRule_code_key" ON "RecommendationRule"("code");
+
+-- Starter rules; admins can edit or disable them
+INSERT INTO "RecommendationRule" ("code", "title", "field", "operator", "value", "valueMax", "message", "category", "priority", "reference", "updatedAt") VALUES
+('glucose-diabetic-range', 'Glucose in the diabetic range', 'Glucose', 'gte', 126, NULL,
+ 'Fasting glucose of 126 mg/dL or more is in the diabetic range. Confirm with a repeat fasting glucose or HbA1c test.',
+ 'glucose', 1, 'American Diabetes Association, Standards of Care in Diabetes: Classification and Diagnosis', CURRENT_TIMESTAMP),
+('glucose-prediabetic-range', 'Glucose in the prediabetic range', 'Glucose', 'between', 100, 126,
+ 'Fasting glucose of 100-125 mg/dL indicates prediabetes. Retest within a year and consider a diabetes prevention programme.',
+ 'glucose', 2, 'American Diabetes Association, Standards of Care in Diabetes: Classification and Diagnosis', CURRENT_TIMESTAMP),
+('bmi-obesity', 'BMI over 30', 'BMI', 'gte', 30, NULL,
+ 'A BMI of 30 or more (obesity) strongly raises diabetes risk. Refer to a structured weight management programme; losing 5-7% of body weight lowers risk.',
+ 'weight', 2, 'CDC National Diabetes Prevention Program', CURRENT_TIMESTAMP),
+('bmi-overweight', 'BMI in the overweight range', 'BMI', 'between', 25, 30,
+ 'A BMI from 25 up to 30 is in the overweight range. Encourage a balanced diet and at least 150 minutes of moderate activity per week.',
+ 'weight', 3, 'CDC National Diabetes Prevention Program', CURRENT_TIMESTAMP),
+('bp-stage-2', 'Diastolic pressure 90 mmHg or higher', 'BloodPressure', 'gte', 90, NULL,
+ 'Diastolic blood pressure of 90 mmHg or more (stage 2 hypertension). Arrange a clinical review of blood pressure.',
+ 'blood-pressure', 1, '2017 ACC/AHA Guideline for High Blood Pressure in Adults', CURRENT_TIMESTAMP),
+('bp-stage-1', 'Diastolic pressure 80-89 mmHg', 'BloodPressure', 'between', 80, 90,
+ 'Diastolic blood pressure of 80-89 mmHg (stage 1 hypertension). Recheck blood pressure and discuss salt intake, activity and weight.',
+ 'blood-pressure', 3, '2017 ACC/AHA Guideline for High Blood Pressure in Adults', CURRENT_TIMESTAMP),
+('insulin-elevated', 'Elevated 2-hour insulin', 'Insulin', 'gt', 166, NULL,
+ '2-hour serum insulin above 166 µU/mL suggests insulin resistance. Consider further metabolic evaluation.',
+ 'insulin', 3, NULL, CURRENT_TIMESTAMP),
+('prior-pregnancies', 'Pregnancy history', 'Pregnancies', 'gte', 1, NULL,
+ 'Ask about gestational diabetes in previous pregnancies; women with a history of gestational diabetes should be screened at least every 3 years.',
+ 'pregnancy', 4, 'American Diabetes Association, Standards of Care in Diabetes: Classification and Diagnosis', CURRENT_TIMESTAMP),
+('family-history', 'Strong family history', 'DiabetesPedigreeFunction', 'gte', 0.8, NULL,
+ 'A high diabetes pedigree score indicates strong family history. Screen regularly even when other values are normal.',
+ 'family-history', 4, NULL, CURRENT_TIMESTAMP),
+('age-screening', 'Age-based screening', 'Age', 'gte', 35, NULL,
+ 'Adults aged 35 or older should be screened for diabetes at least every 3 years.',
+ 'screening', 5, 'American Diabetes Association, Standards of Care in Diabetes: Classification and Diagnosis', CURRENT_TIMESTAMP);
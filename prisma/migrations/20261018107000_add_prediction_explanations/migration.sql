@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Assessment" ADD COLUMN     "explanation" JSONB;
+
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN     "explanation" JSONB;
@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "Patient" ADD COLUMN     "confirmedDiagnosis" BOOLEAN,
+ADD COLUMN     "diagnosisConfirmedAt" TIMESTAMP(3),
+ADD COLUMN     "diagnosisMethod" TEXT,
+ADD COLUMN     "diagnosisNotes" TEXT,
+ADD COLUMN     "diagnosisRecordedById" TEXT,
+ADD COLUMN     "diagnosisValue" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "Patient_confirmedDiagnosis_idx" ON "Patient"("confirmedDiagnosis");
@@ -0,0 +1,59 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing users are not new: use their earliest recorded activity, or a
+-- fixed past date when there is none
+UPDATE "User" u
+SET "createdAt" = COALESCE(
+    LEAST(
+        (SELECT MIN(s."createdAt") FROM "Session" s WHERE s."userId" = u."id"),
+        (SELECT MIN(a."createdAt") FROM "AuditLog" a WHERE a."userId" = u."id" OR (a."targetType" = 'User' AND a."targetId" = u."id")),
+        (SELECT MIN(p."CreatedAt") FROM "Patient" p WHERE p."userId" = u."id")
+    ),
+    TIMESTAMP '2000-01-01 00:00:00'
+);
+
+-- CreateTable
+CREATE TABLE "DigestSchedule" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "frequency" TEXT NOT NULL,
+    "dayOfWeek" INTEGER,
+    "hour" INTEGER NOT NULL DEFAULT 7,
+    "recipients" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "includeAttachment" BOOLEAN NOT NULL DEFAULT true,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "nextRunAt" TIMESTAMP(3) NOT NULL,
+    "lastRunAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DigestSchedule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "DigestRun" (
+    "id" SERIAL NOT NULL,
+    "scheduleId" INTEGER NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'schedule',
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "recipients" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "stats" JSONB,
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DigestRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DigestSchedule_enabled_nextRunAt_idx" ON "DigestSchedule"("enabled", "nextRunAt");
+
+-- CreateIndex
+CREATE INDEX "DigestRun_scheduleId_startedAt_idx" ON "DigestRun"("scheduleId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "DigestRun" ADD CONSTRAINT "DigestRun_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "DigestSchedule"("id") ON DELETE CASCADE ON UPDATE CASCADE;
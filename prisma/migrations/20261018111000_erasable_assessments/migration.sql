@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "Assessment" DROP CONSTRAINT "Assessment_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "Assessment" ALTER COLUMN "userId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "Assessment" ADD CONSTRAINT "Assessment_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
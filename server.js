@@ -6,26 +6,39 @@ const morgan = require('morgan'); // HTTP request logger
 
 const app = express();
 
+// Behind a reverse proxy (e.g. Render), use the client IP for rate limiting and audit logs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware setup
 app.use(helmet()); // Security headers
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*', // Configure properly for production
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
 app.use(express.json()); // Built-in alternative to bodyParser.json()
 app.use(express.urlencoded({ extended: true }));
-app.use(morgan('dev')); // Log requests
+// Log requests; stream tickets and tokens are kept out of the log
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&](?:ticket|token)=)[^&]*/gi, '$1[redacted]'));
+app.use(morgan('dev'));
 
 // Route imports
 const adminRouter = require('./Routes/adminRouter');
 const userRouter = require('./Routes/userRouter');
 const appRouter = require('./Routes/appRouter');
 const authRoutes = require("./Routes/auth");
+const notificationRouter = require('./Routes/notificationRouter');
+const batchService = require('./Service/batchService');
+const emailService = require('./Service/emailService');
+const digestService = require('./Service/digestService');
+const trashService = require('./Service/trashService');
 
 // Route mounting (organized together)
 app.use('/admin', adminRouter);
 app.use('/api/users', userRouter);
+app.use('/api/notifications', notificationRouter);
 app.use('/api', appRouter);
 app.use("/api/auth", authRoutes);
 
@@ -54,4 +67,21 @@ const port = process.env.PORT || 10000;
 app.listen(port, '0.0.0.0', () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode`);
   console.log(`Server started on port ${port}`);
+
+  // Pick up batch prediction jobs interrupted by a restart
+  batchService.resumeUnfinishedJobs()
+    .then(count => count && console.log(`Resumed ${count} batch job(s)`))
+    .catch(err => console.error('Failed to resume batch jobs:', err.message));
+
+  // Deliver queued emails and keep retrying failed ones
+  emailService.startOutboxWorker()
+    .catch(err => console.error('Failed to start email outbox:', err.message));
+
+  // Send scheduled admin digests
+  digestService.startDigestScheduler()
+    .catch(err => console.error('Failed to start digest scheduler:', err.message));
+
+  // Purge trash older than the retention period
+  trashService.startTrashPurgeJob()
+    .catch(err => console.error('Failed to start trash purge job:', err.message));
 });